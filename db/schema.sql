@@ -12,7 +12,13 @@ CREATE TABLE IF NOT EXISTS users (
   is_banned   BOOLEAN DEFAULT false,
   desc_text   TEXT DEFAULT '',
   theriotype  TEXT DEFAULT '',
-  last_seen   TIMESTAMPTZ DEFAULT NOW()
+  last_seen   TIMESTAMPTZ DEFAULT NOW(),
+  deletion_scheduled_for TIMESTAMPTZ DEFAULT NULL,  -- set by DELETE /api/users/me
+  deletion_anonymize     BOOLEAN DEFAULT FALSE,     -- keep room messages under the "deleted" placeholder
+  dm_privacy             TEXT DEFAULT 'requests',   -- everyone | friends | requests
+  presence_status        TEXT DEFAULT 'online',     -- online | away | dnd | invisible
+  status_text            TEXT DEFAULT '',
+  status_emoji           TEXT DEFAULT ''
 );
 
 CREATE TABLE IF NOT EXISTS messages (
@@ -20,9 +26,15 @@ CREATE TABLE IF NOT EXISTS messages (
   room_id     TEXT NOT NULL,
   user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   text        TEXT NOT NULL CHECK (char_length(text) <= 500),
-  created_at  TIMESTAMPTZ DEFAULT NOW()
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  edited_at   TIMESTAMPTZ DEFAULT NULL,
+  deleted_at  TIMESTAMPTZ DEFAULT NULL,  -- tombstone: deleted for everyone, text blanked
+  reply_to    INTEGER DEFAULT NULL
 );
 CREATE INDEX IF NOT EXISTS idx_messages_room_created ON messages(room_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_room_id ON messages(room_id, id);
+CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to) WHERE reply_to IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_fts ON messages USING GIN (to_tsvector('simple', text));
 
 CREATE TABLE IF NOT EXISTS dm_messages (
   id          SERIAL PRIMARY KEY,
@@ -30,9 +42,17 @@ CREATE TABLE IF NOT EXISTS dm_messages (
   user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   text        TEXT NOT NULL CHECK (char_length(text) <= 500),
   created_at  TIMESTAMPTZ DEFAULT NOW(),
-  read_at     TIMESTAMPTZ DEFAULT NULL
+  edited_at   TIMESTAMPTZ DEFAULT NULL,
+  deleted_at  TIMESTAMPTZ DEFAULT NULL,
+  read_at     TIMESTAMPTZ DEFAULT NULL,
+  reply_to    INTEGER DEFAULT NULL,
+  expires_at  TIMESTAMPTZ DEFAULT NULL  -- set while the chat's disappearing timer is on
 );
 CREATE INDEX IF NOT EXISTS idx_dm_messages_chat ON dm_messages(chat_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_dm_messages_chat_id ON dm_messages(chat_id, id);
+CREATE INDEX IF NOT EXISTS idx_dm_messages_expires ON dm_messages(expires_at) WHERE expires_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_dm_messages_reply_to ON dm_messages(reply_to) WHERE reply_to IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_dm_messages_fts ON dm_messages USING GIN (to_tsvector('simple', text));
 
 CREATE TABLE IF NOT EXISTS friends (
   user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -78,3 +98,268 @@ CREATE TABLE IF NOT EXISTS user_mission_progress (
   completed   BOOLEAN DEFAULT false,
   PRIMARY KEY (user_id, mission_key, date_id)
 );
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id            TEXT PRIMARY KEY,        -- random UUID, embedded in access + refresh tokens
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_hash  TEXT NOT NULL,           -- sha256 of the current refresh secret
+  user_agent    TEXT DEFAULT '',
+  ip            TEXT DEFAULT '',
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at  TIMESTAMPTZ DEFAULT NOW(),
+  expires_at    TIMESTAMPTZ NOT NULL,
+  revoked_at    TIMESTAMPTZ DEFAULT NULL,
+  prev_refresh_hashes TEXT[] DEFAULT '{}'  -- recently rotated-out secrets, for reuse detection
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  id          SERIAL PRIMARY KEY,
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role        TEXT NOT NULL,           -- owner | admin | moderator | room_moderator
+  room_id     TEXT NOT NULL DEFAULT '',-- '' = global, otherwise the moderated room
+  granted_by  TEXT,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, role, room_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_identities (
+  provider    TEXT NOT NULL,           -- google | email | local | dev
+  subject     TEXT NOT NULL,           -- Google sub, email address or username
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  email       TEXT DEFAULT '',
+  secret_hash TEXT DEFAULT NULL,       -- scrypt hash, local provider only
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (provider, subject)
+);
+
+CREATE TABLE IF NOT EXISTS magic_links (
+  token_hash  TEXT PRIMARY KEY,        -- sha256 of the emailed token
+  email       TEXT NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ NOT NULL,
+  used_at     TIMESTAMPTZ DEFAULT NULL
+);
+
+CREATE TABLE IF NOT EXISTS message_edits (
+  id          SERIAL PRIMARY KEY,
+  msg_kind    TEXT NOT NULL,           -- room | dm
+  msg_id      INTEGER NOT NULL,
+  old_text    TEXT NOT NULL,           -- text before this edit
+  edited_by   TEXT NOT NULL,
+  edited_at   TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_message_edits_msg ON message_edits(msg_kind, msg_id);
+
+CREATE TABLE IF NOT EXISTS message_reactions (
+  msg_kind    TEXT NOT NULL,           -- room | dm
+  msg_id      INTEGER NOT NULL,
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  emoji       TEXT NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (msg_kind, msg_id, user_id, emoji)
+);
+
+-- Reaction XP/mission progress already given, one row per (user, message)
+CREATE TABLE IF NOT EXISTS reaction_rewards (
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  msg_kind    TEXT NOT NULL,
+  msg_id      INTEGER NOT NULL,
+  PRIMARY KEY (user_id, msg_kind, msg_id)
+);
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id           TEXT PRIMARY KEY,       -- random UUID
+  uploader_uid TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mime         TEXT NOT NULL,
+  size         INTEGER NOT NULL,       -- bytes
+  filename     TEXT DEFAULT '',
+  width        INTEGER DEFAULT NULL,   -- images only
+  height       INTEGER DEFAULT NULL,
+  storage_key  TEXT NOT NULL,          -- key in the local/S3 backend
+  thumb_key    TEXT DEFAULT NULL,      -- 320px WebP thumbnail, images only
+  msg_kind     TEXT DEFAULT NULL,      -- room | dm, NULL until sent
+  msg_id       INTEGER DEFAULT NULL,
+  created_at   TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_attachments_msg ON attachments(msg_kind, msg_id);
+
+CREATE TABLE IF NOT EXISTS mentions (
+  id            SERIAL PRIMARY KEY,
+  msg_id        INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  room_id       TEXT NOT NULL,
+  mentioned_uid TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  sender_uid    TEXT NOT NULL,
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  read_at       TIMESTAMPTZ DEFAULT NULL,
+  UNIQUE (msg_id, mentioned_uid)
+);
+CREATE INDEX IF NOT EXISTS idx_mentions_user ON mentions(mentioned_uid, id);
+
+CREATE TABLE IF NOT EXISTS room_pins (
+  room_id     TEXT NOT NULL,
+  msg_id      INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  pinned_by   TEXT NOT NULL,
+  pinned_at   TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (room_id, msg_id)
+);
+
+CREATE TABLE IF NOT EXISTS room_announcements (
+  id          SERIAL PRIMARY KEY,
+  room_id     TEXT NOT NULL,
+  text        TEXT NOT NULL CHECK (char_length(text) <= 500),
+  created_by  TEXT NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ DEFAULT NULL   -- NULL = until removed
+);
+CREATE INDEX IF NOT EXISTS idx_room_announcements_room ON room_announcements(room_id);
+
+CREATE TABLE IF NOT EXISTS sync_events (
+  seq         BIGSERIAL PRIMARY KEY,     -- resume cursor for /api/sync
+  user_ids    TEXT[] DEFAULT NULL,       -- personal events (DMs, friends, XP)
+  room_id     TEXT DEFAULT NULL,         -- room-wide events
+  type        TEXT NOT NULL,
+  payload     JSONB NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_sync_events_users ON sync_events USING GIN (user_ids);
+CREATE INDEX IF NOT EXISTS idx_sync_events_room ON sync_events(room_id, seq) WHERE room_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sync_events_created ON sync_events(created_at);
+
+CREATE TABLE IF NOT EXISTS dm_settings (
+  chat_id               TEXT PRIMARY KEY,
+  disappear_after_secs  INTEGER DEFAULT NULL,   -- NULL = messages don't disappear
+  updated_by            TEXT DEFAULT NULL,
+  updated_at            TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Group DMs. 1:1 chats keep implicit "uid1_uid2" ids; groups use "g-<uuid>".
+CREATE TABLE IF NOT EXISTS conversations (
+  id          TEXT PRIMARY KEY,
+  name        TEXT DEFAULT '',
+  created_by  TEXT NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS conversation_participants (
+  conversation_id  TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id          TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role             TEXT NOT NULL DEFAULT 'member',   -- owner | member
+  joined_at        TIMESTAMPTZ DEFAULT NOW(),
+  last_read_id     INTEGER DEFAULT 0,                -- per-participant read cursor
+  PRIMARY KEY (conversation_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_conversation_participants_user ON conversation_participants(user_id);
+
+CREATE TABLE IF NOT EXISTS blocks (
+  blocker_uid  TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_uid  TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (blocker_uid, blocked_uid)
+);
+CREATE INDEX IF NOT EXISTS idx_blocks_blocked ON blocks(blocked_uid);
+
+CREATE TABLE IF NOT EXISTS conversation_settings (
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  chat_id     TEXT NOT NULL,
+  muted       BOOLEAN DEFAULT FALSE,
+  archived    BOOLEAN DEFAULT FALSE,
+  updated_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, chat_id)
+);
+
+-- Both members of each 1:1 chat, so the inbox doesn't scan dm_messages
+CREATE TABLE IF NOT EXISTS direct_chats (
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  chat_id     TEXT NOT NULL,              -- 1:1 "uid1_uid2"
+  PRIMARY KEY (user_id, chat_id)
+);
+
+CREATE TABLE IF NOT EXISTS dm_requests (
+  chat_id       TEXT PRIMARY KEY,           -- 1:1 "uid1_uid2"
+  from_uid      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  to_uid        TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status        TEXT NOT NULL DEFAULT 'pending',   -- pending | accepted | declined
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  responded_at  TIMESTAMPTZ DEFAULT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_dm_requests_to ON dm_requests(to_uid, status);
+
+-- "Delete for me"
+CREATE TABLE IF NOT EXISTS hidden_messages (
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  msg_kind    TEXT NOT NULL,    -- room | dm
+  msg_id      INTEGER NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, msg_kind, msg_id)
+);
+
+-- Room catalog; seeded by the server from SEED_ROOM_WORLDS on first boot
+CREATE TABLE IF NOT EXISTS rooms (
+  slug        TEXT PRIMARY KEY,
+  world       TEXT NOT NULL,
+  name        TEXT NOT NULL,
+  description TEXT DEFAULT '',
+  icon        TEXT DEFAULT '',
+  sort_order  INTEGER DEFAULT 0,
+  archived    BOOLEAN DEFAULT FALSE,
+  settings    JSONB DEFAULT '{}'::jsonb,  -- icebreakers, retention_hours, slow_mode_secs, post_mode
+  visibility  TEXT DEFAULT 'public',      -- public | private (user-created)
+  join_approval BOOLEAN DEFAULT FALSE,    -- private rooms: owner approves invite joins
+  created_by  TEXT REFERENCES users(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Private room membership (role: owner | member)
+CREATE TABLE IF NOT EXISTS room_members (
+  room_id     TEXT NOT NULL REFERENCES rooms(slug) ON DELETE CASCADE,
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role        TEXT NOT NULL DEFAULT 'member',
+  joined_at   TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (room_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_room_members_user ON room_members(user_id);
+
+-- Invite codes for private rooms
+CREATE TABLE IF NOT EXISTS room_invites (
+  code        TEXT PRIMARY KEY,
+  room_id     TEXT NOT NULL REFERENCES rooms(slug) ON DELETE CASCADE,
+  created_by  TEXT REFERENCES users(id) ON DELETE SET NULL,
+  expires_at  TIMESTAMPTZ NOT NULL,
+  max_uses    INTEGER DEFAULT NULL,     -- NULL = unlimited
+  uses        INTEGER DEFAULT 0,
+  revoked     BOOLEAN DEFAULT FALSE,
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Pending joins for private rooms that require approval
+CREATE TABLE IF NOT EXISTS room_join_requests (
+  room_id     TEXT NOT NULL REFERENCES rooms(slug) ON DELETE CASCADE,
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  invite_code TEXT,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (room_id, user_id)
+);
+
+-- Per-room mutes and kicks set by room moderators
+CREATE TABLE IF NOT EXISTS room_sanctions (
+  room_id     TEXT NOT NULL,
+  user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type        TEXT NOT NULL,            -- mute | kick
+  until       TIMESTAMPTZ DEFAULT NULL, -- NULL = until lifted
+  reason      TEXT DEFAULT '',
+  created_by  TEXT,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (room_id, user_id, type)
+);
+
+-- Rooms a user follows (live updates, unread counts, room pushes)
+CREATE TABLE IF NOT EXISTS room_follows (
+  user_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  room_id      TEXT NOT NULL REFERENCES rooms(slug) ON DELETE CASCADE,
+  last_read_id INTEGER DEFAULT 0,
+  followed_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, room_id)
+);
+CREATE INDEX IF NOT EXISTS idx_room_follows_room ON room_follows(room_id);
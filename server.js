@@ -13,6 +13,8 @@ const { Pool } = require("pg");
 const jwt = require("jsonwebtoken");
 const { OAuth2Client } = require("google-auth-library");
 const webpush = require("web-push");
+const crypto = require("crypto");
+const sharp = require("sharp");
 
 const PORT = process.env.PORT || 4000;
 const FRONTEND_URL = process.env.FRONTEND_URL || "https://therianworld.netlify.app";
@@ -26,23 +28,82 @@ const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || "";
 const ADMIN_UID = process.env.ADMIN_UID || "";
 const WEB3FORMS_KEY = process.env.WEB3FORMS_KEY || "";
 const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
-
-// ---- VALID ROOMS (whitelist para todo QIURE) ----
-const VALID_ROOMS = [
-  // Therian World
-  "general", "wolves", "cats", "foxes", "birds", "dragons", "bears", "deer", "vent",
-  // Music World
-  "music_pop", "music_rock", "music_latina", "music_jazz", "music_electronica", "music_clasica", "music_hiphop", "music_internacional",
-  // Social World
-  "social_facebook", "social_instagram", "social_tiktok", "social_twitter", "social_youtube", "social_linkedin", "social_emerging",
-  // Prog World
-  "prog_languages", "prog_web", "prog_mobile", "prog_databases", "prog_ai", "prog_devops", "prog_security",
-  // Anime World
-  "anime_shonen", "anime_shojo", "anime_seinen", "anime_isekai", "anime_mecha", "anime_sliceoflife", "anime_otaku",
+const ACCESS_TOKEN_TTL = "15m";  // Short-lived JWT sent on every request
+const REFRESH_TOKEN_DAYS = 30;   // Sliding window, renewed on every refresh
+const REFRESH_HASH_HISTORY = 10; // Rotated-out refresh secrets remembered per session for reuse detection
+
+// ---- SEED ROOMS ----
+// Initial catalog, inserted into the rooms table on first boot. From then on the table
+// is the source of truth (see ROOM CATALOG) and rooms are managed via /api/admin/rooms.
+const SEED_ROOM_WORLDS = [
+  { world: "therian", icon: "🐾", rooms: ["general", "wolves", "cats", "foxes", "birds", "dragons", "bears", "deer", "vent"] },
+  { world: "music", icon: "🎵", rooms: ["music_pop", "music_rock", "music_latina", "music_jazz", "music_electronica", "music_clasica", "music_hiphop", "music_internacional"] },
+  { world: "social", icon: "📱", rooms: ["social_facebook", "social_instagram", "social_tiktok", "social_twitter", "social_youtube", "social_linkedin", "social_emerging"] },
+  { world: "prog", icon: "💻", rooms: ["prog_languages", "prog_web", "prog_mobile", "prog_databases", "prog_ai", "prog_devops", "prog_security"] },
+  { world: "anime", icon: "🎌", rooms: ["anime_shonen", "anime_shojo", "anime_seinen", "anime_isekai", "anime_mecha", "anime_sliceoflife", "anime_otaku"] },
   // Hub (QIURE Server Hub)
-  "hub_software", "hub_design", "hub_business", "hub_music", "hub_mentors"
+  { world: "hub", icon: "🚀", rooms: ["hub_software", "hub_design", "hub_business", "hub_music", "hub_mentors"] }
 ];
 
+// ---- ROOM CATALOG (cache of the rooms table) ----
+// Every room check goes through this in-memory copy, so validation stays synchronous.
+// It starts out as the seed and is replaced from the database at boot and after each
+// admin change.
+const _rooms = new Map(); // slug → { slug, world, name, description, icon, sort_order, archived, settings, visibility, join_approval }
+const _roomMembers = new Map(); // private room slug → Map(uid → 'owner' | 'member')
+
+function _seedRoomRows() {
+  const rows = [];
+  SEED_ROOM_WORLDS.forEach(({ world, icon, rooms }) => {
+    rooms.forEach(slug => {
+      const label = slug.startsWith(world + "_") ? slug.slice(world.length + 1) : slug;
+      rows.push({
+        slug, world, icon, description: "", archived: false, sort_order: rows.length,
+        name: label.charAt(0).toUpperCase() + label.slice(1),
+        settings: { icebreakers: SEED_ICEBREAKER_QUESTIONS[slug] || [] }
+      });
+    });
+  });
+  return rows;
+}
+
+function _setRoomCache(rows) {
+  _rooms.clear();
+  rows.forEach(r => _rooms.set(r.slug, r));
+}
+
+async function _loadRoomCatalog() {
+  const { rows } = await pool.query(
+    `SELECT slug, world, name, description, icon, sort_order, archived, settings, visibility, join_approval
+     FROM rooms ORDER BY sort_order, slug`
+  );
+  if (rows.length) _setRoomCache(rows);
+  const { rows: members } = await pool.query("SELECT room_id, user_id, role FROM room_members");
+  _roomMembers.clear();
+  members.forEach(m => {
+    if (!_roomMembers.has(m.room_id)) _roomMembers.set(m.room_id, new Map());
+    _roomMembers.get(m.room_id).set(m.user_id, m.role);
+  });
+}
+
+// Archived rooms keep their history readable but can't be joined or posted to
+function _isValidRoom(slug, includeArchived) {
+  const room = typeof slug === "string" && _rooms.get(slug);
+  return !!room && (includeArchived || !room.archived);
+}
+
+// _isValidRoom plus private room membership. Non-members get the same answer as for a
+// room that doesn't exist.
+function _canAccessRoom(uid, slug, includeArchived) {
+  if (!_isValidRoom(slug, includeArchived)) return false;
+  return _rooms.get(slug).visibility !== "private" || !!(_roomMembers.get(slug) && _roomMembers.get(slug).has(uid));
+}
+
+// Active community rooms; private rooms stay out of anything broadcast to everyone
+function _publicRoomIds() {
+  return Array.from(_rooms.values()).filter(r => !r.archived && r.visibility !== "private").map(r => r.slug);
+}
+
 // ---- POSTGRESQL ----
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL || "",
@@ -92,6 +153,245 @@ if (process.env.DATABASE_URL) {
   pool.query(`ALTER TABLE dm_messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ DEFAULT NULL`).catch(() => { });
   pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to INTEGER DEFAULT NULL`).catch(() => { });
   pool.query(`ALTER TABLE dm_messages ADD COLUMN IF NOT EXISTS reply_to INTEGER DEFAULT NULL`).catch(() => { });
+  // Message editing: last edit time on the message, prior versions in message_edits
+  pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ DEFAULT NULL`).catch(() => { });
+  pool.query(`ALTER TABLE dm_messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ DEFAULT NULL`).catch(() => { });
+  pool.query(`CREATE TABLE IF NOT EXISTS message_edits (
+    id SERIAL PRIMARY KEY,
+    msg_kind TEXT NOT NULL,
+    msg_id INTEGER NOT NULL,
+    old_text TEXT NOT NULL,
+    edited_by TEXT NOT NULL,
+    edited_at TIMESTAMPTZ DEFAULT NOW()
+  )`).then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_message_edits_msg ON message_edits(msg_kind, msg_id)`)).catch(() => { });
+  // Message attachments (msg_id stays NULL until the upload is sent with a message)
+  pool.query(`CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    uploader_uid TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mime TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    filename TEXT DEFAULT '',
+    width INTEGER DEFAULT NULL,
+    height INTEGER DEFAULT NULL,
+    storage_key TEXT NOT NULL,
+    thumb_key TEXT DEFAULT NULL,
+    msg_kind TEXT DEFAULT NULL,
+    msg_id INTEGER DEFAULT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`).then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_attachments_msg ON attachments(msg_kind, msg_id)`)).catch(() => { });
+  // @mentions in room messages
+  pool.query(`CREATE TABLE IF NOT EXISTS mentions (
+    id SERIAL PRIMARY KEY,
+    msg_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    room_id TEXT NOT NULL,
+    mentioned_uid TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    sender_uid TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    read_at TIMESTAMPTZ DEFAULT NULL,
+    UNIQUE (msg_id, mentioned_uid)
+  )`).then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_mentions_user ON mentions(mentioned_uid, id)`)).catch(() => { });
+  // Pinned messages + announcement banners per room
+  pool.query(`CREATE TABLE IF NOT EXISTS room_pins (
+    room_id TEXT NOT NULL,
+    msg_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    pinned_by TEXT NOT NULL,
+    pinned_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (room_id, msg_id)
+  )`).catch(() => { });
+  pool.query(`CREATE TABLE IF NOT EXISTS room_announcements (
+    id SERIAL PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    text TEXT NOT NULL CHECK (char_length(text) <= 500),
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ DEFAULT NULL
+  )`).then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_room_announcements_room ON room_announcements(room_id)`)).catch(() => { });
+  // Full-text search ('simple' config: messages mix Spanish and English)
+  pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_fts ON messages USING GIN (to_tsvector('simple', text))`).catch(() => { });
+  pool.query(`CREATE INDEX IF NOT EXISTS idx_dm_messages_fts ON dm_messages USING GIN (to_tsvector('simple', text))`).catch(() => { });
+  // Emoji reactions on room and DM messages
+  pool.query(`CREATE TABLE IF NOT EXISTS message_reactions (
+    msg_kind TEXT NOT NULL,
+    msg_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    emoji TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (msg_kind, msg_id, user_id, emoji)
+  )`).catch(() => { });
+  // One reaction reward per (user, message), however often emojis are toggled
+  pool.query(`CREATE TABLE IF NOT EXISTS reaction_rewards (
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    msg_kind TEXT NOT NULL,
+    msg_id INTEGER NOT NULL,
+    PRIMARY KEY (user_id, msg_kind, msg_id)
+  )`).catch(() => { });
+  // Room catalog, seeded from SEED_ROOM_WORLDS on first boot
+  pool.query(`CREATE TABLE IF NOT EXISTS rooms (
+    slug TEXT PRIMARY KEY,
+    world TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    icon TEXT DEFAULT '',
+    sort_order INTEGER DEFAULT 0,
+    archived BOOLEAN DEFAULT FALSE,
+    settings JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+  )`).then(() => pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS visibility TEXT DEFAULT 'public'`))
+    .then(() => pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS join_approval BOOLEAN DEFAULT FALSE`))
+    .then(() => pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS created_by TEXT REFERENCES users(id) ON DELETE SET NULL`))
+    // Private room membership, invite codes and pending join requests
+    .then(() => pool.query(`CREATE TABLE IF NOT EXISTS room_members (
+      room_id TEXT NOT NULL REFERENCES rooms(slug) ON DELETE CASCADE,
+      user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role TEXT NOT NULL DEFAULT 'member',
+      joined_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (room_id, user_id)
+    )`))
+    .then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_room_members_user ON room_members(user_id)`))
+    .then(() => pool.query(`CREATE TABLE IF NOT EXISTS room_invites (
+      code TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL REFERENCES rooms(slug) ON DELETE CASCADE,
+      created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      max_uses INTEGER DEFAULT NULL,
+      uses INTEGER DEFAULT 0,
+      revoked BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )`))
+    .then(() => pool.query(`CREATE TABLE IF NOT EXISTS room_join_requests (
+      room_id TEXT NOT NULL REFERENCES rooms(slug) ON DELETE CASCADE,
+      user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      invite_code TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (room_id, user_id)
+    )`))
+    // Rooms each user follows, with their read marker
+    .then(() => pool.query(`CREATE TABLE IF NOT EXISTS room_follows (
+      user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      room_id TEXT NOT NULL REFERENCES rooms(slug) ON DELETE CASCADE,
+      last_read_id INTEGER DEFAULT 0,
+      followed_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (user_id, room_id)
+    )`))
+    .then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_room_follows_room ON room_follows(room_id)`))
+    .then(() => pool.query(
+      `INSERT INTO rooms (slug, world, name, description, icon, sort_order, settings)
+       SELECT slug, world, name, description, icon, sort_order, settings
+       FROM jsonb_to_recordset($1::jsonb) AS r(slug TEXT, world TEXT, name TEXT, description TEXT, icon TEXT, sort_order INTEGER, settings JSONB)
+       ON CONFLICT (slug) DO NOTHING`,
+      [JSON.stringify(_seedRoomRows())]
+    ))
+    .then(() => _loadRoomCatalog())
+    .catch(err => console.error("[rooms] catalog load error:", err.message));
+  // Per-room mutes and kicks (until NULL = until lifted)
+  pool.query(`CREATE TABLE IF NOT EXISTS room_sanctions (
+    room_id TEXT NOT NULL,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    until TIMESTAMPTZ DEFAULT NULL,
+    reason TEXT DEFAULT '',
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (room_id, user_id, type)
+  )`).then(() => _loadRoomSanctions())
+    .catch(err => console.error("[room-mod] sanctions load error:", err.message));
+  // User blocks
+  pool.query(`CREATE TABLE IF NOT EXISTS blocks (
+    blocker_uid TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    blocked_uid TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (blocker_uid, blocked_uid)
+  )`).then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_blocks_blocked ON blocks(blocked_uid)`)).catch(() => { });
+  // Group DMs (1:1 chats stay implicit "uid1_uid2" ids)
+  pool.query(`CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    name TEXT DEFAULT '',
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`).then(() => pool.query(`CREATE TABLE IF NOT EXISTS conversation_participants (
+    conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member',
+    joined_at TIMESTAMPTZ DEFAULT NOW(),
+    last_read_id INTEGER DEFAULT 0,
+    PRIMARY KEY (conversation_id, user_id)
+  )`)).then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_conversation_participants_user ON conversation_participants(user_id)`))
+    .catch(() => { });
+  // Delete for everyone leaves a tombstone; delete for me hides per user
+  pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ DEFAULT NULL`).catch(() => { });
+  pool.query(`ALTER TABLE dm_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ DEFAULT NULL`).catch(() => { });
+  pool.query(`CREATE TABLE IF NOT EXISTS hidden_messages (
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    msg_kind TEXT NOT NULL,
+    msg_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, msg_kind, msg_id)
+  )`).catch(() => { });
+  // Rich presence: chosen status plus custom text/emoji
+  pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS presence_status TEXT DEFAULT 'online'`).catch(() => { });
+  pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS status_text TEXT DEFAULT ''`).catch(() => { });
+  pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS status_emoji TEXT DEFAULT ''`).catch(() => { });
+  // DM privacy + message requests from non-friends
+  pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS dm_privacy TEXT DEFAULT 'requests'`).catch(() => { });
+  pool.query(`CREATE TABLE IF NOT EXISTS dm_requests (
+    chat_id TEXT PRIMARY KEY,
+    from_uid TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    to_uid TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    responded_at TIMESTAMPTZ DEFAULT NULL
+  )`).then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_dm_requests_to ON dm_requests(to_uid, status)`)).catch(() => { });
+  // Per-user inbox state for a DM chat
+  pool.query(`CREATE TABLE IF NOT EXISTS conversation_settings (
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    chat_id TEXT NOT NULL,
+    muted BOOLEAN DEFAULT FALSE,
+    archived BOOLEAN DEFAULT FALSE,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, chat_id)
+  )`).catch(() => { });
+  // Both members of each 1:1 chat, so inbox queries don't pattern-scan dm_messages.
+  // The backfill only finds work on the first boot after the table appears.
+  pool.query(`CREATE TABLE IF NOT EXISTS direct_chats (
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    chat_id TEXT NOT NULL,
+    PRIMARY KEY (user_id, chat_id)
+  )`).then(() => pool.query(
+    `INSERT INTO direct_chats (user_id, chat_id)
+     SELECT u.id, d.chat_id FROM (SELECT DISTINCT chat_id FROM dm_messages WHERE cardinality(string_to_array(chat_id, '_')) = 2) d
+     JOIN users u ON u.id IN (split_part(d.chat_id, '_', 1), split_part(d.chat_id, '_', 2))
+     WHERE NOT EXISTS (SELECT 1 FROM direct_chats)
+     ON CONFLICT DO NOTHING`
+  )).catch(() => { });
+  // Disappearing DMs: per-chat timer, stamped onto each message as expires_at
+  pool.query(`ALTER TABLE dm_messages ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ DEFAULT NULL`)
+    .then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_dm_messages_expires ON dm_messages(expires_at) WHERE expires_at IS NOT NULL`))
+    .catch(() => { });
+  pool.query(`CREATE TABLE IF NOT EXISTS dm_settings (
+    chat_id TEXT PRIMARY KEY,
+    disappear_after_secs INTEGER DEFAULT NULL,
+    updated_by TEXT DEFAULT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+  )`).catch(() => { });
+  // Missed-event log for /api/sync (see MISSED-EVENT SYNC)
+  pool.query(`CREATE TABLE IF NOT EXISTS sync_events (
+    seq BIGSERIAL PRIMARY KEY,
+    user_ids TEXT[] DEFAULT NULL,
+    room_id TEXT DEFAULT NULL,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`).then(() => Promise.all([
+    pool.query(`CREATE INDEX IF NOT EXISTS idx_sync_events_users ON sync_events USING GIN (user_ids)`),
+    pool.query(`CREATE INDEX IF NOT EXISTS idx_sync_events_room ON sync_events(room_id, seq) WHERE room_id IS NOT NULL`),
+    pool.query(`CREATE INDEX IF NOT EXISTS idx_sync_events_created ON sync_events(created_at)`)
+  ])).catch(() => { });
+  // Cursor pagination walks history by id; threads walk reply_to
+  pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to) WHERE reply_to IS NOT NULL`).catch(() => { });
+  pool.query(`CREATE INDEX IF NOT EXISTS idx_dm_messages_reply_to ON dm_messages(reply_to) WHERE reply_to IS NOT NULL`).catch(() => { });
+  pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_room_id ON messages(room_id, id)`).catch(() => { });
+  pool.query(`CREATE INDEX IF NOT EXISTS idx_dm_messages_chat_id ON dm_messages(chat_id, id)`).catch(() => { });
   // Daily missions table (auto-create)
   pool.query(`CREATE TABLE IF NOT EXISTS user_mission_progress (
     user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -104,6 +404,63 @@ if (process.env.DATABASE_URL) {
   // XP daily cap tracking column
   pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS xp_earned_today INTEGER DEFAULT 0`).catch(() => { });
   pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS xp_today_date DATE DEFAULT NULL`).catch(() => { });
+  // Account deletion grace period
+  pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ DEFAULT NULL`).catch(() => { });
+  pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_anonymize BOOLEAN DEFAULT FALSE`).catch(() => { });
+  // Login sessions (one row per device, holds the rotating refresh token hash)
+  pool.query(`CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_hash TEXT NOT NULL,
+    user_agent TEXT DEFAULT '',
+    ip TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ DEFAULT NULL
+  )`).then(() => pool.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`)).catch(() => { });
+  // Recently rotated-out refresh secrets, to tell a replayed token from a wrong one
+  pool.query(`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS prev_refresh_hashes TEXT[] DEFAULT '{}'`).catch(() => { });
+  // Login identities: (provider, subject) → user. Existing users are Google accounts keyed by their sub.
+  pool.query(`CREATE TABLE IF NOT EXISTS user_identities (
+    provider TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email TEXT DEFAULT '',
+    secret_hash TEXT DEFAULT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (provider, subject)
+  )`).then(() => pool.query(
+    `INSERT INTO user_identities (provider, subject, user_id, email)
+     SELECT 'google', id, id, COALESCE(email, '') FROM users
+     WHERE id NOT IN ('system', 'deleted') AND NOT EXISTS (SELECT 1 FROM user_identities i WHERE i.user_id = users.id)
+     ON CONFLICT DO NOTHING`
+  )).catch(() => { });
+  pool.query(`CREATE TABLE IF NOT EXISTS magic_links (
+    token_hash TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ DEFAULT NULL
+  )`).catch(() => { });
+  // Moderation roles (room_id = '' means the role applies globally)
+  pool.query(`CREATE TABLE IF NOT EXISTS user_roles (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    room_id TEXT NOT NULL DEFAULT '',
+    granted_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, role, room_id)
+  )`).then(() => {
+    // Bootstrap: the legacy ADMIN_UID becomes the first owner
+    if (ADMIN_UID) {
+      return pool.query(
+        `INSERT INTO user_roles (user_id, role, granted_by) SELECT id, 'owner', 'env' FROM users WHERE id = $1
+         ON CONFLICT DO NOTHING`, [ADMIN_UID]
+      );
+    }
+  }).catch(() => { });
 } else {
   console.warn("WARN: DATABASE_URL not configured");
 }
@@ -258,17 +615,17 @@ async function _awardXP(uid, amount, socketId, isMessageXP) {
     }
 
     // Emit XP update to user's socket(s)
+    const update = {
+      xp: newXP,
+      level: newLevel,
+      gained: amount,
+      levelUp: newLevel > oldLevel ? newLevel : null,
+      nextLevelXP: xpForLevel(newLevel + 1),
+      progress: Math.round(((newXP - xpForLevel(newLevel)) / (xpForLevel(newLevel + 1) - xpForLevel(newLevel))) * 100)
+    };
+    update.seq = await _recordEvent([uid], 'xp_update', update);
     for (const [sid, u] of connectedUsers.entries()) {
-      if (u.uid === uid) {
-        io.to(sid).emit('xp_update', {
-          xp: newXP,
-          level: newLevel,
-          gained: amount,
-          levelUp: newLevel > oldLevel ? newLevel : null,
-          nextLevelXP: xpForLevel(newLevel + 1),
-          progress: Math.round(((newXP - xpForLevel(newLevel)) / (xpForLevel(newLevel + 1) - xpForLevel(newLevel))) * 100)
-        });
-      }
+      if (u.uid === uid) io.to(sid).emit('xp_update', update);
     }
   } catch (e) { console.error('[xp] error:', e.message); }
 }
@@ -295,7 +652,8 @@ function _getRoomActivityStats() {
   const now = Date.now();
   const fiveMinAgo = now - 300000;
   const stats = {};
-  for (const roomId of VALID_ROOMS) {
+  const roomIds = _publicRoomIds();
+  for (const roomId of roomIds) {
     const data = _roomActivity.get(roomId);
     if (data) {
       const recentMsgs = data.timestamps.filter(t => t > fiveMinAgo).length;
@@ -308,11 +666,10 @@ function _getRoomActivityStats() {
       stats[roomId] = { msgs_5min: 0, is_hot: false, last_msg_ago: -1 };
     }
   }
-  // Add online count per room from socket rooms
+  // Add online count per room: visible users who have it open (followers aren't counted)
   try {
-    for (const roomId of VALID_ROOMS) {
-      const room = io.sockets.adapter.rooms.get('room_' + roomId);
-      stats[roomId].online = room ? room.size : 0;
+    for (const roomId of roomIds) {
+      stats[roomId].online = _roomPresentUids(roomId).filter(uid => _presenceOf(uid).status !== "offline").length;
     }
   } catch (e) { }
   return stats;
@@ -321,7 +678,8 @@ function _getRoomActivityStats() {
 // ============================================
 // ICEBREAKER BOT
 // ============================================
-const ICEBREAKER_QUESTIONS = {
+// Seed questions; each room's live list is settings.icebreakers in the catalog
+const SEED_ICEBREAKER_QUESTIONS = {
   // Therian world
   general: [
     "🐾 If you could be any animal for a day, what would you choose?",
@@ -386,6 +744,8 @@ const ICEBREAKER_QUESTIONS = {
   hub_mentors: ["🧠 What's the best advice you've ever received?", "🧠 What skill do you wish you learned earlier?", "🧠 Who's your biggest inspiration?", "🧠 What would you teach someone starting out?"]
 };
 
+_setRoomCache(_seedRoomRows());
+
 const _roomLastActivity = new Map(); // roomId → timestamp
 
 function _startIcebreakerTimer() {
@@ -393,7 +753,7 @@ function _startIcebreakerTimer() {
     const now = Date.now();
     const IDLE_THRESHOLD = 15 * 60 * 1000; // 15 minutes
 
-    for (const roomId of VALID_ROOMS) {
+    for (const roomId of _publicRoomIds()) {
       const lastActivity = _roomLastActivity.get(roomId) || 0;
       if (now - lastActivity < IDLE_THRESHOLD) continue;
 
@@ -402,7 +762,8 @@ function _startIcebreakerTimer() {
       if (!room || room.size < 2) continue;
 
       // Pick a random question for this room
-      const questions = ICEBREAKER_QUESTIONS[roomId] || ICEBREAKER_QUESTIONS.general;
+      const own = _rooms.get(roomId).settings.icebreakers;
+      const questions = own && own.length ? own : SEED_ICEBREAKER_QUESTIONS.general;
       const question = questions[Math.floor(Math.random() * questions.length)];
 
       // Send as system message (NOT saved to DB — ephemeral)
@@ -486,11 +847,13 @@ if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
 async function sendPushToUser(recipientUid, title, body) {
   if (!vapidConfigured) { console.log('Push: VAPID not configured, skipping'); return; }
   try {
+    // Do-not-disturb holds back every push
     const { rows } = await pool.query(
-      "SELECT endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = $1",
+      `SELECT endpoint, p256dh, auth FROM push_subscriptions
+       WHERE user_id = $1 AND NOT EXISTS (SELECT 1 FROM users WHERE id = $1 AND presence_status = 'dnd')`,
       [recipientUid]
     );
-    if (!rows.length) { console.log('Push: no subscription found for user', recipientUid); return; }
+    if (!rows.length) { console.log('Push: no subscription (or do-not-disturb) for user', recipientUid); return; }
     console.log('Push: sending to user', recipientUid, 'endpoint:', rows[0].endpoint.substring(0, 60) + '...');
     const sub = {
       endpoint: rows[0].endpoint,
@@ -511,36 +874,24 @@ async function sendPushToUser(recipientUid, title, body) {
   }
 }
 
-// Track which rooms each user has joined (for scoped push notifications)
-const _userRoomMap = new Map(); // uid → roomId
-
-async function sendPushToRoom(roomId, senderUid, body) {
+// Pushes go to the room's followers (see FOLLOWED ROOMS), not to whoever opened it last.
+// skipUids: users already notified another way (e.g. mentioned), so they get one push, not two
+async function sendPushToRoom(roomId, senderUid, body, skipUids) {
   if (!vapidConfigured) return;
   try {
-    // Collect UIDs of users who are currently in THIS room
-    const roomMemberUids = new Set();
-    const socketRoom = io.sockets.adapter.rooms.get('room_' + roomId);
-    if (socketRoom) {
-      for (const sid of socketRoom) {
-        const user = connectedUsers.get(sid);
-        if (user) roomMemberUids.add(user.uid);
-      }
-    }
-
-    // Also include offline users who last visited this room (via _userRoomMap)
-    for (const [uid, lastRoom] of _userRoomMap.entries()) {
-      if (lastRoom === roomId) roomMemberUids.add(uid);
-    }
-
-    // Only send push to users who are in this room AND not the sender
-    if (roomMemberUids.size === 0) return;
-    const uidList = Array.from(roomMemberUids).filter(uid => uid !== senderUid);
+    const { rows: followers } = await pool.query("SELECT user_id FROM room_follows WHERE room_id = $1", [roomId]);
+    // Kicked followers keep their follow but get nothing until the kick runs out
+    const uidList = followers.map(f => f.user_id).filter(uid =>
+      uid !== senderUid && !(skipUids && skipUids.includes(uid)) && _canAccessRoom(uid, roomId, true) &&
+      !_roomSanctionUntil(roomId, uid, "kick"));
     if (uidList.length === 0) return;
 
     // Batch query for subscriptions of relevant users only
     const { rows } = await pool.query(
-      `SELECT user_id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = ANY($1)`,
-      [uidList]
+      `SELECT user_id, endpoint, p256dh, auth FROM push_subscriptions
+       WHERE user_id = ANY($1) AND user_id NOT IN (SELECT blocker_uid FROM blocks WHERE blocked_uid = $2)
+         AND user_id NOT IN (SELECT id FROM users WHERE id = ANY($1) AND presence_status = 'dnd')`,
+      [uidList, senderUid]
     );
     console.log('Push room: found', rows.length, 'subscription(s) for room', roomId, '(relevant users only)');
     for (const row of rows) {
@@ -641,25 +992,289 @@ async function verifyGoogleToken(idToken) {
   return payload;
 }
 
-// ---- MIDDLEWARE: verify JWT ----
-function authMiddleware(req, res, next) {
+// ============================================
+// AUTH PROVIDERS (google, email magic link, local password, dev)
+// ============================================
+// Each provider turns a request body into a verified identity:
+//   { subject, email, name, picture, secretHash? }
+// and throws with a user-facing message when the credentials are bad.
+// The identity is then mapped to a user id through user_identities, so the
+// same account can be reached from several providers.
+const DEV_AUTH_ENABLED = process.env.DEV_AUTH === "true" && process.env.NODE_ENV !== "production";
+const MAGIC_LINK_TTL_MIN = 15;
+const MAGIC_LINK_URL = process.env.MAGIC_LINK_URL || "";
+const EMAIL_API_KEY = process.env.EMAIL_API_KEY || "";
+const EMAIL_FROM = process.env.EMAIL_FROM || "QIURE <no-reply@qiure.com>";
+const USERNAME_RE = /^[a-z0-9.]{3,30}$/;
+
+const _scrypt = require("util").promisify(crypto.scrypt);
+
+async function _hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await _scrypt(password, salt, 64);
+  return "scrypt$" + salt + "$" + hash.toString("hex");
+}
+
+async function _checkPassword(password, stored) {
+  const [scheme, salt, hex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+  const hash = await _scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(hash, Buffer.from(hex, "hex"));
+}
+
+// ---- MAGIC LINK EMAIL ----
+async function sendMagicLinkEmail(email, link) {
+  if (!EMAIL_API_KEY) {
+    // No transport configured: only offline dev may print the link instead of mailing it
+    if (!DEV_AUTH_ENABLED) throw new Error("Email sign-in is not configured");
+    console.log(`[auth] Magic link for ${email}: ${link}`);
+    return;
+  }
+  const res = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer " + EMAIL_API_KEY },
+    body: JSON.stringify({
+      from: EMAIL_FROM,
+      to: email,
+      subject: "Your QIURE sign-in link",
+      text: "Tap to sign in to QIURE (valid for " + MAGIC_LINK_TTL_MIN + " minutes):\n\n" + link
+    })
+  });
+  if (!res.ok) throw new Error("Could not send email (" + res.status + ")");
+}
+
+async function _consumeMagicLink(token) {
+  if (!token || typeof token !== "string") throw new Error("token required");
+  const { rows } = await pool.query(
+    `UPDATE magic_links SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING email`,
+    [_hashToken(token)]
+  );
+  if (!rows.length) throw new Error("This sign-in link is invalid or has expired");
+  return rows[0].email;
+}
+
+const AUTH_PROVIDERS = {
+  google: {
+    async verify(body) {
+      if (!body.idToken) throw new Error("idToken required");
+      const gUser = await verifyGoogleToken(body.idToken);
+      return { subject: gUser.sub, email: gUser.email || "", name: gUser.name, picture: gUser.picture || "" };
+    }
+  },
+  email: {
+    // Needs a mail transport; without one, links could only go to the server log
+    enabled: !!EMAIL_API_KEY || DEV_AUTH_ENABLED,
+    async verify(body) {
+      const email = await _consumeMagicLink(body.token);
+      return { subject: email, email, name: email.split("@")[0] };
+    }
+  },
+  local: {
+    // body.register = true creates the credentials instead of checking them
+    async verify(body) {
+      const name = typeof body.name === "string" ? body.name.trim() : "";
+      const username = typeof body.username === "string" ? body.username.trim().toLowerCase() : "";
+      const password = typeof body.password === "string" ? body.password : "";
+      if (!USERNAME_RE.test(username)) throw new Error("Username must be 3-30 characters: letters, numbers or dots");
+      if (body.register) {
+        if (password.length < 8 || password.length > 200) throw new Error("Password must be at least 8 characters");
+        return { subject: username, name: name || username, secretHash: await _hashPassword(password), register: true };
+      }
+      const { rows } = await pool.query(
+        "SELECT secret_hash FROM user_identities WHERE provider = 'local' AND subject = $1", [username]
+      );
+      if (!rows.length || !(await _checkPassword(password, rows[0].secret_hash))) {
+        throw new Error("Wrong username or password");
+      }
+      return { subject: username };
+    }
+  },
+  dev: {
+    // Offline development only: trusts whatever username the client sends
+    enabled: DEV_AUTH_ENABLED,
+    async verify(body) {
+      const username = typeof body.username === "string" ? body.username.trim().toLowerCase() : "";
+      if (!USERNAME_RE.test(username)) throw new Error("username required");
+      const name = typeof body.name === "string" ? body.name.trim() : "";
+      return { subject: username, email: username + "@dev.local", name: name || "Dev " + username };
+    }
+  }
+};
+
+function _getProvider(name) {
+  const provider = Object.prototype.hasOwnProperty.call(AUTH_PROVIDERS, name) ? AUTH_PROVIDERS[name] : null;
+  if (!provider || provider.enabled === false) return null;
+  return provider;
+}
+
+// ============================================
+// SESSIONS (access token + rotating refresh token)
+// ============================================
+// Refresh tokens look like "<sessionId>.<secret>". Only a SHA-256 of the
+// secret is stored, so a DB leak does not leak usable tokens.
+function _hashToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function _signAccessToken(uid, sid) {
+  return jwt.sign({ uid, sid }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+async function _createSession(uid, req) {
+  const sid = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString("hex");
+  await pool.query(
+    `INSERT INTO sessions (id, user_id, refresh_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))`,
+    [sid, uid, _hashToken(secret), (req.headers["user-agent"] || "").slice(0, 200), req.ip || "", REFRESH_TOKEN_DAYS]
+  );
+  return { sid, token: _signAccessToken(uid, sid), refreshToken: sid + "." + secret };
+}
+
+// Revoke one session (sid) or every session of a user, and drop their live sockets
+async function _revokeSessions(uid, sid) {
+  const { rows } = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::text IS NULL OR id = $2)
+     RETURNING id`,
+    [uid, sid || null]
+  );
+  const revoked = new Set(rows.map(r => r.id));
+  for (const id of revoked) _lastChannel.delete(id);
+  for (const [socketId, u] of connectedUsers.entries()) {
+    if (u.uid === uid && (!sid || revoked.has(u.sid))) {
+      io.to(socketId).emit("session_revoked");
+      const s = io.sockets.sockets.get(socketId);
+      if (s) s.disconnect(true);
+    }
+  }
+  return rows.length;
+}
+
+// Resolve an access token to a live session.
+// Returns { uid, sid, user } or { error, status } — never throws on bad input.
+// `user` carries the profile fields only when withProfile is set (socket handshake);
+// REST auth skips them so every request doesn't pull the photo.
+async function _resolveAccessToken(token, withProfile) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { error: "Invalid or expired token", status: 401 };
+  }
+  // Legacy 30-day tokens carry no session id and cannot be revoked
+  if (!decoded.sid) return { error: "Session expired, please sign in again", status: 401 };
+  const { rows } = await pool.query(
+    `SELECT u.id, u.is_banned, s.revoked_at AS session_revoked_at
+            ${withProfile ? ", u.name, u.photo, u.premium, u.theriotype, u.presence_status, u.status_text, u.status_emoji" : ""}
+     FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2`,
+    [decoded.sid, decoded.uid]
+  );
+  if (!rows.length || rows[0].session_revoked_at) return { error: "Session revoked", status: 401 };
+  const user = rows[0];
+  delete user.session_revoked_at;
+  if (user.is_banned) return { error: "Your account has been banned from Therians.", status: 403 };
+  return { uid: decoded.uid, sid: decoded.sid, exp: decoded.exp, user };
+}
+
+// ---- MIDDLEWARE: verify JWT + session ----
+async function authMiddleware(req, res, next) {
   const header = req.headers.authorization;
   if (!header || !header.startsWith("Bearer ")) {
     return res.status(401).json({ error: "Not authorized" });
   }
   try {
-    const decoded = jwt.verify(header.split(" ")[1], JWT_SECRET);
-    req.uid = decoded.uid;
-    next();
+    const auth = await _resolveAccessToken(header.split(" ")[1]);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    req.uid = auth.uid;
+    req.sid = auth.sid;
   } catch (err) {
-    res.status(401).json({ error: "Invalid or expired token" });
+    return res.status(500).json({ error: err.message });
   }
+  next();
 }
 
-// ---- MIDDLEWARE: admin only ----
-function adminMiddleware(req, res, next) {
-  if (!ADMIN_UID || req.uid !== ADMIN_UID) return res.status(403).json({ error: "Not authorized" });
-  next();
+// ============================================
+// ROLES + PERMISSIONS
+// ============================================
+const ROLE_PERMISSIONS = {
+  owner: ["manage_roles", "manage_rooms", "resolve_reports", "delete_messages", "pin_messages", "mute_users", "kick_users", "room_settings", "ban_users"],
+  admin: ["manage_rooms", "resolve_reports", "delete_messages", "pin_messages", "mute_users", "kick_users", "room_settings", "ban_users"],
+  moderator: ["resolve_reports", "delete_messages", "pin_messages", "mute_users", "kick_users", "room_settings"],
+  // Only valid with a room_id; permissions apply inside that room
+  room_moderator: ["resolve_reports", "delete_messages", "pin_messages", "mute_users", "kick_users", "room_settings"]
+};
+const ROOM_SCOPED_ROLES = ["room_moderator"];
+// Site-wide standing; room-scoped roles don't count
+const ROLE_RANK = { owner: 3, admin: 2, moderator: 1 };
+
+function _roleRank(perms) {
+  return Math.max(0, ...perms.roles.filter(r => !r.room_id).map(r => ROLE_RANK[r.role] || 0));
+}
+
+// Load a user's effective permissions: { roles, global: Set, rooms: { roomId: Set } }
+async function _getPermissions(uid) {
+  const { rows } = await pool.query(
+    "SELECT id, role, room_id FROM user_roles WHERE user_id = $1 ORDER BY id", [uid]
+  );
+  const perms = { roles: rows, global: new Set(), rooms: {} };
+  for (const r of rows) {
+    const granted = ROLE_PERMISSIONS[r.role] || [];
+    if (r.room_id) {
+      if (!perms.rooms[r.room_id]) perms.rooms[r.room_id] = new Set();
+      granted.forEach(p => perms.rooms[r.room_id].add(p));
+    } else {
+      granted.forEach(p => perms.global.add(p));
+    }
+  }
+  // Owners of private rooms moderate their own room
+  for (const [roomId, members] of _roomMembers.entries()) {
+    if (members.get(uid) !== "owner") continue;
+    if (!perms.rooms[roomId]) perms.rooms[roomId] = new Set();
+    ROLE_PERMISSIONS.room_moderator.forEach(p => perms.rooms[roomId].add(p));
+  }
+  return perms;
+}
+
+function _can(perms, perm, roomId) {
+  if (perms.global.has(perm)) return true;
+  return !!(roomId && perms.rooms[roomId] && perms.rooms[roomId].has(perm));
+}
+
+// Rooms where the user holds `perm` through a room-scoped role only
+function _roomsWith(perms, perm) {
+  return Object.keys(perms.rooms).filter(roomId => perms.rooms[roomId].has(perm));
+}
+
+function _serializePermissions(perms) {
+  const rooms = {};
+  for (const roomId of Object.keys(perms.rooms)) rooms[roomId] = Array.from(perms.rooms[roomId]);
+  return {
+    roles: perms.roles.map(r => ({ role: r.role, room_id: r.room_id || null })),
+    global: Array.from(perms.global),
+    rooms
+  };
+}
+
+// ---- MIDDLEWARE: permission check ----
+// Passes if the user holds `perm` globally or in at least one room; handlers
+// that touch a specific room must narrow down with _can(req.perms, perm, roomId).
+function requirePermission(perm) {
+  return async (req, res, next) => {
+    try {
+      const perms = await _getPermissions(req.uid);
+      if (!perms.global.has(perm) && !_roomsWith(perms, perm).length) {
+        return res.status(403).json({ error: "Not authorized" });
+      }
+      req.perms = perms;
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    next();
+  };
 }
 
 // ---- PUSH SUBSCRIBE ENDPOINT ----
@@ -686,64 +1301,289 @@ app.post("/api/push/subscribe", authMiddleware, async (req, res) => {
 // ROUTES
 // ============================================================
 
-// ---- LOGIN WITH GOOGLE ----
-app.post("/api/auth/google", authLimiter, async (req, res) => {
-  const { idToken } = req.body;
-  if (!idToken) return res.status(400).json({ error: "idToken required" });
+// ---- LOGIN (any provider) ----
+// Finds or creates the account behind a verified identity and opens a session.
+async function _loginWithIdentity(req, res, providerName, identity) {
+  const { rows: linked } = await pool.query(
+    "SELECT user_id FROM user_identities WHERE provider = $1 AND subject = $2", [providerName, identity.subject]
+  );
+  if (identity.register && linked.length) return res.status(409).json({ error: "Username already taken" });
+
+  const isNewUser = linked.length === 0;
+  let uid;
+  if (isNewUser) {
+    // Google accounts keep the sub as their id so ADMIN_UID and old rows stay valid
+    uid = providerName === "google" ? identity.subject : crypto.randomUUID();
+    const name = typeof identity.name === "string" && identity.name ? identity.name : "Anonymous Therian";
+    // Both rows or neither, so a failed identity insert can't strand an account nobody can sign in to
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const insertUser = () => client.query(
+        `INSERT INTO users (id, name, photo, email, last_seen) VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (id) DO NOTHING`,
+        [uid, name.slice(0, 40), identity.picture || "", identity.email || ""]
+      );
+      // The sub is already an account id when that account unlinked Google; signing in
+      // with it again starts a new account rather than quietly relinking the old one
+      if (!(await insertUser()).rowCount) {
+        uid = crypto.randomUUID();
+        await insertUser();
+      }
+      await client.query(
+        `INSERT INTO user_identities (provider, subject, user_id, email, secret_hash) VALUES ($1, $2, $3, $4, $5)`,
+        [providerName, identity.subject, uid, identity.email || "", identity.secretHash || null]
+      );
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => { });
+      // Lost a race with a concurrent sign-up for the same identity
+      if (e.code === "23505" && identity.register) return res.status(409).json({ error: "Username already taken" });
+      throw e;
+    } finally {
+      client.release();
+    }
+  } else {
+    uid = linked[0].user_id;
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE users SET last_seen = NOW(), photo = COALESCE(NULLIF($2, ''), photo)
+     WHERE id = $1 RETURNING *`,
+    [uid, identity.picture || ""]
+  );
+  const user = rows[0];
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  if (user.is_banned) return res.status(403).json({ error: "Your account has been banned from Therians." });
+  // Signing back in during the grace period cancels a pending account deletion
+  let deletionCancelled = false;
+  if (user.deletion_scheduled_for) {
+    await pool.query("UPDATE users SET deletion_scheduled_for = NULL, deletion_anonymize = FALSE WHERE id = $1", [uid]);
+    user.deletion_scheduled_for = null;
+    deletionCancelled = true;
+  }
+  if (ADMIN_UID && uid === ADMIN_UID) {
+    await pool.query(
+      "INSERT INTO user_roles (user_id, role, granted_by) VALUES ($1, 'owner', 'env') ON CONFLICT DO NOTHING", [uid]
+    );
+  }
+
+  if (isNewUser) {
+    io.to("room_general").emit("new_message", {
+      id: "sys-" + Date.now(), room_id: "general", user_id: "system",
+      name: "Therians", photo: "", premium: false, theriotype: "",
+      text: "🐾 " + (user.name || "A new therian") + " just joined the pack! Welcome!",
+      sys_type: "welcome", sys_name: user.name || "A new therian",
+      created_at: new Date().toISOString(), is_system: true
+    });
+    // Push notification to all subscribers: new user joined QIURE
+    (async () => {
+      try {
+        const { rows: allSubs } = await pool.query("SELECT user_id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id != $1", [uid]);
+        for (const row of allSubs) {
+          try {
+            await webpush.sendNotification(
+              { endpoint: row.endpoint, keys: { p256dh: row.p256dh, auth: row.auth } },
+              JSON.stringify({ title: "Nuevo en QIURE", body: (user.name || "Alguien") + " se unió a QIURE. ¡Dale la bienvenida!", url: "/" })
+            );
+          } catch (e) {
+            if (e.statusCode === 410 || e.statusCode === 404) {
+              await pool.query("DELETE FROM push_subscriptions WHERE user_id = $1", [row.user_id]).catch(() => { });
+            }
+          }
+        }
+      } catch (e) { console.error("Push new user error:", e.message); }
+    })();
+  }
+
+  const { token, refreshToken } = await _createSession(user.id, req);
+  res.json({ token, refreshToken, user, is_new: isNewUser, deletion_cancelled: deletionCancelled });
+}
+
+async function _handleLogin(providerName, req, res) {
+  const provider = _getProvider(providerName);
+  if (!provider) return res.status(404).json({ error: "Unknown login provider" });
+  let identity;
   try {
-    const gUser = await verifyGoogleToken(idToken);
-    const uid = gUser.sub;
+    identity = await provider.verify(req.body || {});
+  } catch (err) {
+    console.error("Auth error:", providerName, err.message);
+    return res.status(401).json({ error: err.message });
+  }
+  try {
+    await _loginWithIdentity(req, res, providerName, identity);
+  } catch (err) {
+    console.error("Auth error:", providerName, err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ---- LOGIN WITH GOOGLE (kept for existing clients) ----
+app.post("/api/auth/google", authLimiter, (req, res) => _handleLogin("google", req, res));
 
-    const existing = await pool.query("SELECT id FROM users WHERE id = $1", [uid]);
-    const isNewUser = existing.rows.length === 0;
+app.post("/api/auth/login/:provider", authLimiter, (req, res) => _handleLogin(req.params.provider, req, res));
+
+// ---- LOCAL ACCOUNT SIGN-UP ----
+app.post("/api/auth/local/register", authLimiter, (req, res) => {
+  req.body = Object.assign({}, req.body, { register: true });
+  _handleLogin("local", req, res);
+});
+
+// ---- EMAIL MAGIC LINK: request a link ----
+app.post("/api/auth/email/request", authLimiter, async (req, res) => {
+  if (!_getProvider("email")) return res.status(404).json({ error: "Unknown login provider" });
+  const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 200) return res.status(400).json({ error: "Invalid email" });
+  try {
+    const token = crypto.randomBytes(32).toString("hex");
+    await pool.query(
+      `INSERT INTO magic_links (token_hash, email, expires_at) VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+      [_hashToken(token), email, MAGIC_LINK_TTL_MIN]
+    );
+    const base = MAGIC_LINK_URL || (ALLOWED_ORIGINS[0] || "") + "/login.html";
+    await sendMagicLinkEmail(email, base + "?magic_token=" + token);
+    // Same answer whether or not the email has an account
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
+// ---- LINKED IDENTITIES ----
+app.get("/api/auth/identities", authMiddleware, async (req, res) => {
+  try {
     const { rows } = await pool.query(
-      `INSERT INTO users (id, name, photo, email, last_seen)
-       VALUES ($1, $2, $3, $4, NOW())
-       ON CONFLICT (id) DO UPDATE
-         SET last_seen = NOW(),
-             photo = COALESCE(EXCLUDED.photo, users.photo)
-       RETURNING *`,
-      [uid, gUser.name || "Anonymous Therian", gUser.picture || "", gUser.email || ""]
+      "SELECT provider, subject, email, created_at FROM user_identities WHERE user_id = $1 ORDER BY created_at", [req.uid]
     );
-    const user = rows[0];
+    const providers = Object.keys(AUTH_PROVIDERS).filter(p => _getProvider(p));
+    res.json({ identities: rows, providers });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-    if (user.is_banned) return res.status(403).json({ error: "Your account has been banned from Therians." });
+// Link another provider to the signed-in account (same body as its login call;
+// local passwords are always created here, never checked)
+app.post("/api/auth/identities/:provider", authLimiter, authMiddleware, async (req, res) => {
+  const providerName = req.params.provider;
+  const provider = _getProvider(providerName);
+  if (!provider) return res.status(404).json({ error: "Unknown login provider" });
+  let identity;
+  try {
+    const body = Object.assign({}, req.body, providerName === "local" ? { register: true } : {});
+    identity = await provider.verify(body);
+  } catch (err) { return res.status(401).json({ error: err.message }); }
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO user_identities (provider, subject, user_id, email, secret_hash) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (provider, subject) DO NOTHING RETURNING provider, subject, email, created_at`,
+      [providerName, identity.subject, req.uid, identity.email || "", identity.secretHash || null]
+    );
+    if (!rows.length) {
+      const { rows: owner } = await pool.query(
+        "SELECT user_id FROM user_identities WHERE provider = $1 AND subject = $2", [providerName, identity.subject]
+      );
+      if (owner[0] && owner[0].user_id === req.uid) return res.json({ ok: true, already: true });
+      return res.status(409).json({ error: "This login is already linked to another account" });
+    }
+    res.json({ ok: true, identity: rows[0] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-    if (isNewUser) {
-      io.to("room_general").emit("new_message", {
-        id: "sys-" + Date.now(), room_id: "general", user_id: "system",
-        name: "Therians", photo: "", premium: false, theriotype: "",
-        text: "🐾 " + (user.name || "A new therian") + " just joined the pack! Welcome!",
-        sys_type: "welcome", sys_name: user.name || "A new therian",
-        created_at: new Date().toISOString(), is_system: true
-      });
-      // Push notification to all subscribers: new user joined QIURE
-      (async () => {
-        try {
-          const { rows: allSubs } = await pool.query("SELECT user_id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id != $1", [uid]);
-          for (const row of allSubs) {
-            try {
-              await webpush.sendNotification(
-                { endpoint: row.endpoint, keys: { p256dh: row.p256dh, auth: row.auth } },
-                JSON.stringify({ title: "Nuevo en QIURE", body: (user.name || "Alguien") + " se unió a QIURE. ¡Dale la bienvenida!", url: "/" })
-              );
-            } catch (e) {
-              if (e.statusCode === 410 || e.statusCode === 404) {
-                await pool.query("DELETE FROM push_subscriptions WHERE user_id = $1", [row.user_id]).catch(() => { });
-              }
-            }
-          }
-        } catch (e) { console.error("Push new user error:", e.message); }
-      })();
+app.delete("/api/auth/identities/:provider/:subject", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT COUNT(*) FROM user_identities WHERE user_id = $1", [req.uid]);
+    if (parseInt(rows[0].count) <= 1) return res.status(400).json({ error: "You need at least one way to sign in" });
+    const result = await pool.query(
+      "DELETE FROM user_identities WHERE user_id = $1 AND provider = $2 AND subject = $3",
+      [req.uid, req.params.provider, req.params.subject]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Identity not found" });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- REFRESH ACCESS TOKEN (rotates the refresh token) ----
+app.post("/api/auth/refresh", authLimiter, async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken || typeof refreshToken !== "string") return res.status(400).json({ error: "refreshToken required" });
+  const [sid, secret] = refreshToken.split(".");
+  if (!sid || !secret) return res.status(401).json({ error: "Invalid refresh token" });
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.user_id, s.refresh_hash, s.prev_refresh_hashes, s.revoked_at, s.expires_at < NOW() AS expired, u.is_banned
+       FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.id = $1`,
+      [sid]
+    );
+    const session = rows[0];
+    if (!session || session.revoked_at || session.expired) {
+      return res.status(401).json({ error: "Session expired, please sign in again" });
+    }
+    if (session.is_banned) return res.status(403).json({ error: "Your account has been banned from Therians." });
+
+    const presented = _hashToken(secret);
+    const matches = crypto.timingSafeEqual(Buffer.from(presented), Buffer.from(session.refresh_hash));
+    if (!matches) {
+      // The sid is in every access token, so a plain wrong secret proves nothing
+      if (!(session.prev_refresh_hashes || []).includes(presented)) return res.status(401).json({ error: "Invalid refresh token" });
+      // An old refresh token was replayed: assume it was stolen and kill the session
+      await _revokeSessions(session.user_id, sid);
+      console.warn(`[sessions] Refresh token reuse on session ${sid} (user ${session.user_id}), revoked`);
+      return res.status(401).json({ error: "Session revoked" });
     }
 
-    const token = jwt.sign({ uid: user.id }, JWT_SECRET, { expiresIn: "30d" });
-    res.json({ token, user, is_new: isNewUser });
-  } catch (err) {
-    console.error("Auth error:", err.message);
-    res.status(401).json({ error: err.message });
-  }
+    const nextSecret = crypto.randomBytes(32).toString("hex");
+    const updated = await pool.query(
+      `UPDATE sessions SET refresh_hash = $2, last_used_at = NOW(),
+              prev_refresh_hashes = (ARRAY[$3::text] || COALESCE(prev_refresh_hashes, '{}'))[1:${REFRESH_HASH_HISTORY}],
+              expires_at = NOW() + make_interval(days => $4), ip = $5
+       WHERE id = $1 AND refresh_hash = $3 AND revoked_at IS NULL`,
+      [sid, _hashToken(nextSecret), presented, REFRESH_TOKEN_DAYS, req.ip || ""]
+    );
+    // Lost a race against a concurrent refresh with the same token
+    if (!updated.rowCount) return res.status(409).json({ error: "Refresh already in progress, retry" });
+
+    res.json({ token: _signAccessToken(session.user_id, sid), refreshToken: sid + "." + nextSecret });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- LOGOUT (revoke current session) ----
+app.post("/api/auth/logout", authMiddleware, async (req, res) => {
+  try {
+    await _revokeSessions(req.uid, req.sid);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- SESSIONS (devices) ----
+app.get("/api/sessions", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.uid]
+    );
+    rows.forEach(r => { r.current = r.id === req.sid; });
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Revoke every session except the one making the request
+app.delete("/api/sessions", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT id FROM sessions WHERE user_id = $1 AND revoked_at IS NULL AND id != $2", [req.uid, req.sid]
+    );
+    for (const r of rows) await _revokeSessions(req.uid, r.id);
+    res.json({ ok: true, revoked: rows.length });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete("/api/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const count = await _revokeSessions(req.uid, req.params.id);
+    if (!count) return res.status(404).json({ error: "Session not found" });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ---- PROFILE ----
@@ -752,7 +1592,7 @@ app.get("/api/users/me", authMiddleware, async (req, res) => {
     const { rows } = await pool.query("SELECT * FROM users WHERE id = $1", [req.uid]);
     if (!rows.length) return res.status(404).json({ error: "User not found" });
     const user = rows[0];
-    user.is_admin = !!(ADMIN_UID && req.uid === ADMIN_UID);
+    user.permissions = _serializePermissions(await _getPermissions(req.uid));
     user.desc = user.desc_text || "";
     user.xp = user.xp || 0;
     user.level = calculateLevel(user.xp);
@@ -782,7 +1622,7 @@ app.get("/api/users/me", authMiddleware, async (req, res) => {
 
 // ---- UPDATE PROFILE (description + theriotype) ----
 app.patch("/api/users/me", authMiddleware, async (req, res) => {
-  const { desc, theriotype } = req.body;
+  const { desc, theriotype, dmPrivacy } = req.body;
   if (desc !== undefined && typeof desc === "string" && desc.length > 200) {
     return res.status(400).json({ error: "Description too long (max 200)" });
   }
@@ -802,12 +1642,16 @@ app.patch("/api/users/me", authMiddleware, async (req, res) => {
   if (theriotype !== undefined && !validTheriotypes.includes(theriotype)) {
     return res.status(400).json({ error: "Invalid theriotype" });
   }
+  if (dmPrivacy !== undefined && !DM_PRIVACY_LEVELS.includes(dmPrivacy)) {
+    return res.status(400).json({ error: "dmPrivacy must be one of " + DM_PRIVACY_LEVELS.join(", ") });
+  }
   try {
     const updates = [];
     const values = [];
     let idx = 1;
     if (desc !== undefined) { updates.push("desc_text = $" + idx); values.push(desc || ""); idx++; }
     if (theriotype !== undefined) { updates.push("theriotype = $" + idx); values.push(theriotype); idx++; }
+    if (dmPrivacy !== undefined) { updates.push("dm_privacy = $" + idx); values.push(dmPrivacy); idx++; }
     if (!updates.length) return res.status(400).json({ error: "No changes" });
     values.push(req.uid);
     const { rows } = await pool.query(
@@ -843,405 +1687,3142 @@ app.put("/api/users/me/photo", authMiddleware, async (req, res) => {
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- ROOM MESSAGES ----
-app.get("/api/rooms/:roomId/messages", authMiddleware, async (req, res) => {
-  const roomId = req.params.roomId;
-  if (!VALID_ROOMS.includes(roomId)) return res.status(400).json({ error: "Invalid room" });
+// ============================================================
+// ACCOUNT: DATA EXPORT + DELETION
+// ============================================================
+const ACCOUNT_DELETION_GRACE_DAYS = 7;
+const DELETED_USER_ID = "deleted"; // Placeholder owner for anonymized room messages
+
+// ---- EXPORT MY DATA (JSON archive download) ----
+// Only what the user wrote or chose. Other people's DMs stay out; each chat is listed with
+// who was in it. Moderation state (bans, mutes, toxicity) isn't part of the profile.
+const EXPORT_PROFILE_COLUMNS = "id, name, photo, email, premium, desc_text, theriotype, xp, level, login_streak, " +
+  "last_seen, dm_privacy, presence_status, status_text, status_emoji, deletion_scheduled_for";
+
+app.get("/api/users/me/export", authMiddleware, async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `SELECT m.id, m.room_id, m.user_id, m.text, m.created_at, m.reply_to,
-              u.name, u.photo, u.premium, u.theriotype,
-              rm.text AS reply_text, ru.name AS reply_name
-       FROM messages m JOIN users u ON u.id = m.user_id
-       LEFT JOIN messages rm ON rm.id = m.reply_to
-       LEFT JOIN users ru ON ru.id = rm.user_id
-       WHERE m.room_id = $1 ORDER BY m.created_at DESC LIMIT 3000`,
-      [roomId]
-    );
-    rows.reverse(); // So frontend receives them in chronological order
-    console.log(`[messages] room=${roomId} uid=${req.uid} rows=${rows.length}`);
-    res.json(rows);
-  } catch (err) {
-    console.error(`[messages] ERROR room=${roomId} uid=${req.uid}:`, err.message);
-    res.status(500).json({ error: err.message });
-  }
+    const { rows: userRows } = await pool.query(`SELECT ${EXPORT_PROFILE_COLUMNS} FROM users WHERE id = $1`, [req.uid]);
+    if (!userRows.length) return res.status(404).json({ error: "User not found" });
+    const [roomMsgs, dms, chats, friends, friendReqs, missions, reports, sessions, identities, files] = await Promise.all([
+      pool.query(
+        "SELECT id, room_id, text, reply_to, created_at FROM messages WHERE user_id = $1 ORDER BY created_at", [req.uid]
+      ),
+      pool.query(
+        "SELECT id, chat_id, text, reply_to, created_at, read_at FROM dm_messages WHERE user_id = $1 ORDER BY chat_id, created_at",
+        [req.uid]
+      ),
+      pool.query(
+        `SELECT c.chat_id, g.name AS group_name,
+                ARRAY(SELECT user_id FROM conversation_participants WHERE conversation_id = c.chat_id AND user_id != $1) AS group_members
+         FROM (SELECT chat_id FROM direct_chats WHERE user_id = $1
+               UNION SELECT conversation_id FROM conversation_participants WHERE user_id = $1) c
+         LEFT JOIN conversations g ON g.id = c.chat_id
+         ORDER BY c.chat_id`,
+        [req.uid]
+      ),
+      pool.query(
+        `SELECT f.friend_id, u.name, f.created_at FROM friends f LEFT JOIN users u ON u.id = f.friend_id
+         WHERE f.user_id = $1 ORDER BY f.created_at`, [req.uid]
+      ),
+      pool.query(
+        "SELECT id, from_uid, to_uid, status, created_at FROM friend_requests WHERE from_uid = $1 OR to_uid = $1 ORDER BY created_at",
+        [req.uid]
+      ),
+      pool.query(
+        "SELECT mission_key, date_id, progress, completed FROM user_mission_progress WHERE user_id = $1 ORDER BY date_id", [req.uid]
+      ),
+      pool.query(
+        "SELECT id, msg_id, msg_text, reported_uid, reported_name, room_id, created_at, resolved FROM reports WHERE reporter_uid = $1 ORDER BY created_at",
+        [req.uid]
+      ),
+      pool.query(
+        "SELECT id, user_agent, ip, created_at, last_used_at, revoked_at FROM sessions WHERE user_id = $1 ORDER BY created_at", [req.uid]
+      ),
+      pool.query(
+        "SELECT provider, subject, email, created_at FROM user_identities WHERE user_id = $1 ORDER BY created_at", [req.uid]
+      ),
+      pool.query(
+        "SELECT * FROM attachments WHERE uploader_uid = $1 ORDER BY created_at", [req.uid]
+      )
+    ]);
+    const profile = userRows[0];
+    const chatMembers = chats.rows.map(c => c.group_name === null ? c.chat_id.split("_").filter(u => u !== req.uid) : c.group_members);
+    const { rows: names } = await pool.query("SELECT id, name FROM users WHERE id = ANY($1)", [[...new Set(chatMembers.flat())]]);
+    const nameOf = Object.fromEntries(names.map(u => [u.id, u.name]));
+    const archive = {
+      exported_at: new Date().toISOString(),
+      profile,
+      room_messages: roomMsgs.rows,
+      direct_messages: dms.rows,
+      conversations: chats.rows.map((c, i) => ({
+        chat_id: c.chat_id,
+        type: c.group_name === null ? "direct" : "group",
+        name: c.group_name,
+        others: chatMembers[i].map(uid => ({ uid, name: nameOf[uid] || null }))
+      })),
+      friends: friends.rows,
+      friend_requests: friendReqs.rows,
+      mission_progress: missions.rows,
+      reports_filed: reports.rows,
+      sessions: sessions.rows,
+      login_identities: identities.rows,
+      attachments: files.rows.map(r => Object.assign(_attachmentMeta(r), { msg_kind: r.msg_kind, msg_id: r.msg_id }))
+    };
+    const filename = "therian-export-" + req.uid + "-" + archive.exported_at.slice(0, 10) + ".json";
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.json(archive);
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- DM MESSAGES ----
-app.get("/api/dms/:chatId/messages", authMiddleware, async (req, res) => {
-  const chatId = req.params.chatId;
-  const uids = chatId.split("_");
-  if (uids.length !== 2 || !uids.includes(req.uid)) return res.status(403).json({ error: "Access denied" });
+// ---- DELETE MY ACCOUNT (scheduled, cancelled by signing in again) ----
+app.delete("/api/users/me", authMiddleware, async (req, res) => {
+  const anonymize = req.body && req.body.anonymize === true;
   try {
     const { rows } = await pool.query(
-      `SELECT m.id, m.chat_id, m.user_id, m.text, m.created_at, m.read_at, m.reply_to,
-              u.name, u.photo, u.premium, u.theriotype,
-              rm.text AS reply_text, ru.name AS reply_name
-       FROM dm_messages m JOIN users u ON u.id = m.user_id
-       LEFT JOIN dm_messages rm ON rm.id = m.reply_to
+      `UPDATE users SET deletion_scheduled_for = NOW() + make_interval(days => $2), deletion_anonymize = $3
+       WHERE id = $1 RETURNING deletion_scheduled_for`,
+      [req.uid, ACCOUNT_DELETION_GRACE_DAYS, anonymize]
+    );
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+    _matchQueue = _matchQueue.filter(q => q.uid !== req.uid);
+    await _revokeSessions(req.uid);
+    console.log(`[account] ${req.uid} scheduled for deletion at ${rows[0].deletion_scheduled_for.toISOString()}`);
+    res.json({ ok: true, scheduled_for: rows[0].deletion_scheduled_for, anonymize });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Hard-delete one account. Room messages are either cascaded away or handed to the
+// placeholder user; everything else (DMs, friends, push, missions, sessions) cascades.
+async function _purgeAccount(uid, anonymize) {
+  const client = await pool.connect();
+  let filesToRemove = [];
+  try {
+    await client.query("BEGIN");
+    if (anonymize) {
+      await client.query(
+        `INSERT INTO users (id, name, photo, email, last_seen) VALUES ($1, 'Deleted user', '', '', NULL)
+         ON CONFLICT (id) DO NOTHING`,
+        [DELETED_USER_ID]
+      );
+      await client.query("UPDATE messages SET user_id = $2 WHERE user_id = $1", [uid, DELETED_USER_ID]);
+      await client.query(
+        "UPDATE attachments SET uploader_uid = $2 WHERE uploader_uid = $1 AND msg_kind = 'room'", [uid, DELETED_USER_ID]
+      );
+    }
+    // Attachment rows cascade with the user; their files are removed after commit
+    const files = await client.query("SELECT storage_key, thumb_key FROM attachments WHERE uploader_uid = $1", [uid]);
+    filesToRemove = files.rows;
+    await client.query("DELETE FROM message_edits WHERE edited_by = $1", [uid]);
+    // Groups this user owns pass to their longest-standing other member
+    await client.query(
+      `UPDATE conversation_participants SET role = 'owner'
+       WHERE (conversation_id, user_id) IN (
+         SELECT DISTINCT ON (conversation_id) conversation_id, user_id FROM conversation_participants
+         WHERE user_id != $1 AND conversation_id IN (
+           SELECT conversation_id FROM conversation_participants WHERE user_id = $1 AND role = 'owner'
+         )
+         ORDER BY conversation_id, joined_at
+       )`,
+      [uid]
+    );
+    await client.query(
+      `UPDATE room_members SET role = 'owner'
+       WHERE (room_id, user_id) IN (
+         SELECT DISTINCT ON (room_id) room_id, user_id FROM room_members
+         WHERE user_id != $1 AND room_id IN (SELECT room_id FROM room_members WHERE user_id = $1 AND role = 'owner')
+         ORDER BY room_id, joined_at
+       )`,
+      [uid]
+    );
+    await client.query("DELETE FROM sync_events WHERE user_ids @> ARRAY[$1]::text[] OR payload->>'user_id' = $1", [uid]);
+    await client.query("DELETE FROM users WHERE id = $1", [uid]);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => { });
+    throw e;
+  } finally {
+    client.release();
+  }
+  await _removeAttachmentFiles(filesToRemove);
+  // Private rooms this user was the only member of go with them
+  const emptied = Array.from(_roomMembers.entries()).filter(([, m]) => m.size === 1 && m.has(uid)).map(([roomId]) => roomId);
+  for (const roomId of emptied) await _deletePrivateRoom(roomId);
+  await _loadRoomCatalog();
+  io.emit("user_deleted", { uid, anonymized: !!anonymize });
+  console.log(`[account] Purged ${uid}${anonymize ? " (room messages anonymized)" : ""}`);
+}
+
+function _startAccountDeletionJob() {
+  setInterval(async () => {
+    try {
+      const { rows } = await pool.query(
+        "SELECT id, deletion_anonymize FROM users WHERE deletion_scheduled_for <= NOW()"
+      );
+      for (const row of rows) {
+        await _purgeAccount(row.id, row.deletion_anonymize).catch(e => console.error("[account] purge error:", row.id, e.message));
+      }
+    } catch (e) { console.error("[account] deletion job error:", e.message); }
+  }, 60 * 60 * 1000); // Hourly
+}
+
+// ---- MESSAGE HISTORY (cursor pagination) ----
+// ?before=<id> older page, ?after=<id> newer page, ?around=<id> window centered on a
+// message ("jump to message"), none = latest page. ?limit= sets the page size.
+// By default the routes answer with a chronological array, the sender's name, photo,
+// premium and theriotype on every row, as they always have. ?format=page opts into
+// { messages, users, has_more_before, has_more_after }: rows carry only user_id and
+// sender profiles come back once per page in `users`.
+// Either way each row gets aggregated `reactions` ([{ emoji, count, me }]),
+// `attachments`, and thread stats (`reply_count`, `last_reply_at`).
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_MAX_PAGE_SIZE = 200;
+const HISTORY_SOURCES = {
+  room: {
+    table: "messages", scope: "room_id", channel: "room_",
+    columns: "m.id, m.room_id, m.user_id, m.text, m.created_at, m.edited_at, m.deleted_at, m.reply_to"
+  },
+  dm: {
+    table: "dm_messages", scope: "chat_id", channel: "dm_",
+    columns: "m.id, m.chat_id, m.user_id, m.text, m.created_at, m.edited_at, m.deleted_at, m.read_at, m.reply_to, m.expires_at"
+  }
+};
+
+function _parseMsgId(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// uid → { name, photo, premium, theriotype, level } for everyone on a page
+async function _loadUserProfiles(uids) {
+  const users = {};
+  if (!uids.size) return users;
+  const { rows } = await pool.query(
+    "SELECT id, name, photo, premium, theriotype, xp FROM users WHERE id = ANY($1)", [Array.from(uids)]
+  );
+  for (const u of rows) {
+    users[u.id] = { name: u.name, photo: u.photo, premium: u.premium, theriotype: u.theriotype || "", level: calculateLevel(u.xp || 0) };
+  }
+  return users;
+}
+
+// A history page in the default array shape, sender profile inline
+function _historyRows(page) {
+  return page.messages.map(m => {
+    const u = page.users[m.user_id] || {};
+    return { ...m, name: u.name, photo: u.photo, premium: u.premium, theriotype: u.theriotype };
+  });
+}
+
+// Returns { messages, users, has_more_before, has_more_after } or { error, status }
+async function _fetchHistoryPage(kind, scopeVal, query, viewerUid) {
+  const src = HISTORY_SOURCES[kind];
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+  const before = _parseMsgId(query.before);
+  const after = _parseMsgId(query.after);
+  const around = _parseMsgId(query.around);
+  for (const [name, value] of [["before", before], ["after", after], ["around", around]]) {
+    if (query[name] !== undefined && !value) return { error: "Invalid " + name + " cursor", status: 400 };
+  }
+  if ([before, after, around].filter(Boolean).length > 1) {
+    return { error: "Use only one of before, after or around", status: 400 };
+  }
+
+  // Hides what the viewer deleted for themselves and, in rooms, senders they blocked
+  const select = (cond, order, lim, params) => {
+    const v = "$" + (params.length + 2);
+    return pool.query(
+      `SELECT ${src.columns}, rm.text AS reply_text, rm.user_id AS reply_user_id, ru.name AS reply_name
+       FROM ${src.table} m
+       LEFT JOIN ${src.table} rm ON rm.id = m.reply_to
        LEFT JOIN users ru ON ru.id = rm.user_id
-       WHERE m.chat_id = $1 ORDER BY m.created_at DESC LIMIT 3000`,
-      [chatId]
+       WHERE m.${src.scope} = $1 ${cond}
+       AND NOT EXISTS (SELECT 1 FROM hidden_messages h WHERE h.user_id = ${v} AND h.msg_kind = '${kind}' AND h.msg_id = m.id)
+       ${kind === "room" ? `AND m.user_id NOT IN (SELECT blocked_uid FROM blocks WHERE blocker_uid = ${v})` : ""}
+       ORDER BY m.id ${order} LIMIT ${lim}`,
+      [scopeVal, ...params, viewerUid || ""]
+    ).then(r => r.rows);
+  };
+
+  let messages, hasMoreBefore = false, hasMoreAfter = false;
+  if (around) {
+    const half = Math.floor(limit / 2);
+    const [older, newer] = await Promise.all([
+      select("AND m.id < $2", "DESC", half + 1, [around]),
+      select("AND m.id >= $2", "ASC", limit - half + 1, [around])
+    ]);
+    if (!newer.length || newer[0].id !== around) return { error: "Message not found", status: 404 };
+    hasMoreBefore = older.length > half;
+    hasMoreAfter = newer.length > limit - half;
+    messages = older.slice(0, half).reverse().concat(newer.slice(0, limit - half));
+  } else if (after) {
+    // The cursor row itself may be gone, so probe for anything at or below it
+    const [rows, older] = await Promise.all([
+      select("AND m.id > $2", "ASC", limit + 1, [after]),
+      select("AND m.id <= $2", "DESC", 1, [after])
+    ]);
+    hasMoreAfter = rows.length > limit;
+    hasMoreBefore = older.length > 0;
+    messages = rows.slice(0, limit);
+  } else {
+    const [rows, newer] = await Promise.all([
+      before ? select("AND m.id < $2", "DESC", limit + 1, [before]) : select("", "DESC", limit + 1, []),
+      before ? select("AND m.id >= $2", "ASC", 1, [before]) : []
+    ]);
+    hasMoreBefore = rows.length > limit;
+    hasMoreAfter = newer.length > 0;
+    messages = rows.slice(0, limit).reverse(); // So frontend receives them in chronological order
+  }
+
+  const uids = new Set();
+  messages.forEach(m => { uids.add(m.user_id); if (m.reply_user_id) uids.add(m.reply_user_id); });
+  const users = await _loadUserProfiles(uids);
+  await _attachReactions(kind, messages, viewerUid);
+  await _attachAttachments(kind, messages);
+  await _attachReplyStats(kind, messages);
+  return { messages, users, has_more_before: hasMoreBefore, has_more_after: hasMoreAfter };
+}
+
+// ---- ROOM CATALOG (public) ----
+function _publicRoom(r) {
+  return {
+    slug: r.slug, world: r.world, name: r.name, description: r.description, icon: r.icon,
+    sort_order: r.sort_order, retention_hours: _roomRetentionHours(r.slug)
+  };
+}
+
+app.get("/api/rooms", (req, res) => {
+  res.json(_publicRoomIds().map(slug => _publicRoom(_rooms.get(slug))));
+});
+
+// ---- ROOM MESSAGES ----
+app.get("/api/rooms/:roomId/messages", authMiddleware, async (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_canAccessRoom(req.uid, roomId, true)) return res.status(400).json({ error: "Invalid room" });
+  try {
+    const page = await _fetchHistoryPage("room", roomId, req.query, req.uid);
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    console.log(`[messages] room=${roomId} uid=${req.uid} rows=${page.messages.length}`);
+    page.retention_hours = _roomRetentionHours(roomId);
+    res.json(req.query.format === "page" ? page : _historyRows(page));
+  } catch (err) {
+    console.error(`[messages] ERROR room=${roomId} uid=${req.uid}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============================================================
+// FOLLOWED ROOMS
+// ============================================================
+// Each socket has one focused channel (join_room / join_dm swap it) and is also
+// subscribed to every room its user follows, so new_message keeps arriving for those.
+// Follows persist in room_follows with a last_read_id per room, which drives the unread
+// counters and who gets room pushes.
+const MAX_FOLLOWED_ROOMS = 50;
+const ROOM_UNREAD_CAP = 100; // counts stop here; clients show "99+"
+
+// Followed rooms the user can still see, with unread counts
+async function _followedRooms(uid) {
+  const { rows } = await pool.query(
+    `SELECT f.room_id, f.last_read_id, f.followed_at,
+       (SELECT COUNT(*)::int FROM (
+          SELECT 1 FROM messages m
+          WHERE m.room_id = f.room_id AND m.id > f.last_read_id AND m.user_id != $1 AND m.deleted_at IS NULL
+            AND m.user_id NOT IN (SELECT blocked_uid FROM blocks WHERE blocker_uid = $1)
+          LIMIT ${ROOM_UNREAD_CAP}
+        ) c) AS unread
+     FROM room_follows f WHERE f.user_id = $1 ORDER BY f.followed_at`,
+    [uid]
+  );
+  return rows.filter(r => _canAccessRoom(uid, r.room_id, true));
+}
+
+function _userSockets(uid) {
+  const sockets = [];
+  for (const socketId of _socketsByUid.get(uid) || []) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) sockets.push(socket);
+  }
+  return sockets;
+}
+
+// Drop the previously focused room/DM; followed rooms and threads stay until unfollowed
+function _leaveFocusedChannel(socket) {
+  const followed = socket.data.followed || new Set();
+  Array.from(socket.rooms).forEach(r => {
+    if (r !== socket.id && !followed.has(r) && !r.startsWith("thread_")) socket.leave(r);
+  });
+}
+
+function _subscribeSockets(uid, roomId) {
+  _userSockets(uid).forEach(socket => {
+    if (!socket.data.followed) socket.data.followed = new Set();
+    socket.data.followed.add("room_" + roomId);
+    socket.join("room_" + roomId);
+  });
+}
+
+// Stops live updates for the room on every device, except where it's the focused channel
+function _unsubscribeSockets(uid, roomId, evenIfFocused) {
+  _userSockets(uid).forEach(socket => {
+    if (socket.data.followed) socket.data.followed.delete("room_" + roomId);
+    if (evenIfFocused && socket.data.focus === "room_" + roomId) _setFocus(socket, null);
+    if (evenIfFocused || socket.data.focus !== "room_" + roomId) socket.leave("room_" + roomId);
+  });
+}
+
+async function _joinFollowedRooms(socket, user) {
+  const rooms = (await _followedRooms(user.uid)).filter(r => !_roomSanctionUntil(r.room_id, user.uid, "kick"));
+  socket.data.followed = new Set(rooms.map(r => "room_" + r.room_id));
+  rooms.forEach(r => socket.join("room_" + r.room_id));
+  socket.emit("followed_rooms", rooms);
+}
+
+// New followers start with the room's current history already read. Returns { error } or { ok }.
+async function _followRoom(uid, roomId) {
+  if (!_canAccessRoom(uid, roomId)) return { error: "Invalid room" };
+  const kicked = _roomSanctionUntil(roomId, uid, "kick");
+  if (kicked) return { error: "🚫 You were removed from this room " + _describeUntil(kicked) + "." };
+  const { rows } = await pool.query("SELECT COUNT(*)::int AS count FROM room_follows WHERE user_id = $1", [uid]);
+  if (rows[0].count >= MAX_FOLLOWED_ROOMS) return { error: "You can follow up to " + MAX_FOLLOWED_ROOMS + " rooms" };
+  await pool.query(
+    `INSERT INTO room_follows (user_id, room_id, last_read_id)
+     VALUES ($1, $2, (SELECT COALESCE(MAX(id), 0) FROM messages WHERE room_id = $2))
+     ON CONFLICT DO NOTHING`,
+    [uid, roomId]
+  );
+  _subscribeSockets(uid, roomId);
+  return { ok: true };
+}
+
+async function _unfollowRoom(uid, roomId, evenIfFocused) {
+  await pool.query("DELETE FROM room_follows WHERE user_id = $1 AND room_id = $2", [uid, roomId]);
+  _unsubscribeSockets(uid, roomId, evenIfFocused);
+}
+
+// Moves the read marker forward (never back) to upTo, or to the latest message
+async function _markRoomRead(uid, roomId, upTo) {
+  const { rows } = await pool.query(
+    `UPDATE room_follows SET last_read_id = GREATEST(last_read_id,
+       COALESCE($3::int, (SELECT COALESCE(MAX(id), 0) FROM messages WHERE room_id = $2)))
+     WHERE user_id = $1 AND room_id = $2 RETURNING last_read_id`,
+    [uid, roomId, upTo || null]
+  );
+  if (!rows.length) return null;
+  const update = { roomId, last_read_id: rows[0].last_read_id };
+  _emitToUsers([uid], "room_read", update);
+  return update;
+}
+
+app.get("/api/users/me/followed-rooms", authMiddleware, async (req, res) => {
+  try {
+    res.json(await _followedRooms(req.uid));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// { msgId } optional: mark read up to that message instead of the latest
+app.post("/api/rooms/:roomId/read", authMiddleware, async (req, res) => {
+  const upTo = req.body.msgId === undefined ? null : _parseMsgId(req.body.msgId);
+  if (req.body.msgId !== undefined && !upTo) return res.status(400).json({ error: "Invalid message id" });
+  try {
+    const update = await _markRoomRead(req.uid, req.params.roomId, upTo);
+    if (!update) return res.status(404).json({ error: "You don't follow this room" });
+    res.json({ ok: true, ...update });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================================
+// PRIVATE ROOMS
+// ============================================================
+// User-created rooms live in the same catalog with visibility 'private' and a "p_<hex>"
+// slug. Members (one owner, the rest members) are in room_members and mirrored in
+// _roomMembers; everyone else is treated as if the room didn't exist. People join
+// through invite codes, optionally waiting for the owner's approval.
+const PRIVATE_ROOM_MAX_MEMBERS = 200;
+const PRIVATE_ROOMS_PER_OWNER = 10;
+const ROOM_INVITE_DEFAULT_HOURS = 7 * 24;
+const ROOM_INVITE_MAX_HOURS = 30 * 24;
+
+async function _loadRoomMembers(roomId) {
+  const { rows } = await pool.query("SELECT user_id, role FROM room_members WHERE room_id = $1", [roomId]);
+  if (rows.length) _roomMembers.set(roomId, new Map(rows.map(r => [r.user_id, r.role])));
+  else _roomMembers.delete(roomId);
+}
+
+function _roomMemberUids(roomId) {
+  return Array.from((_roomMembers.get(roomId) || new Map()).keys());
+}
+
+// The caller's role in a private room, from the member cache, or { error, status }
+function _privateRoomRole(roomId, uid) {
+  const room = _rooms.get(roomId);
+  const role = room && room.visibility === "private" && _roomMembers.get(roomId)?.get(uid);
+  if (!role) return { error: "Room not found", status: 404 };
+  return { role };
+}
+
+// Full private room for its members: catalog fields plus the member list
+async function _privateRoomDetails(roomId) {
+  const room = _rooms.get(roomId);
+  const { rows: members } = await pool.query(
+    `SELECT rm.user_id, rm.role, rm.joined_at, u.name, u.photo, u.theriotype
+     FROM room_members rm JOIN users u ON u.id = rm.user_id
+     WHERE rm.room_id = $1 ORDER BY rm.joined_at`,
+    [roomId]
+  );
+  return { ..._publicRoom(room), join_approval: !!room.join_approval, members };
+}
+
+async function _addRoomMember(roomId, uid, addedBy) {
+  await pool.query(
+    "INSERT INTO room_members (room_id, user_id, role) VALUES ($1, $2, 'member') ON CONFLICT DO NOTHING", [roomId, uid]
+  );
+  await _loadRoomMembers(roomId);
+  const members = _roomMemberUids(roomId);
+  const update = { roomId, uid, addedBy };
+  update.seq = await _recordEvent(members, "room_member_added", update);
+  _emitToUsers(members, "room_member_added", update);
+}
+
+// Last one out takes the room and its history with them
+async function _deletePrivateRoom(roomId) {
+  const { rows } = await pool.query("DELETE FROM messages WHERE room_id = $1 RETURNING id", [roomId]);
+  if (rows.length) await _dropMessageExtras("room", rows.map(r => r.id));
+  await pool.query("DELETE FROM room_announcements WHERE room_id = $1", [roomId]);
+  await pool.query("DELETE FROM sync_events WHERE room_id = $1", [roomId]);
+  await pool.query("DELETE FROM rooms WHERE slug = $1", [roomId]);
+  await _loadRoomCatalog();
+}
+
+async function _removeRoomMember(roomId, uid, removedBy) {
+  const members = _roomMembers.get(roomId) || new Map();
+  const remaining = _roomMemberUids(roomId).filter(m => m !== uid);
+  if (!remaining.length) {
+    await _deletePrivateRoom(roomId);
+  } else {
+    await pool.query("DELETE FROM room_members WHERE room_id = $1 AND user_id = $2", [roomId, uid]);
+    if (members.get(uid) === "owner") {
+      // Ownership passes to the longest-standing member
+      await pool.query(
+        `UPDATE room_members SET role = 'owner' WHERE room_id = $1 AND user_id = (
+           SELECT user_id FROM room_members WHERE room_id = $1 ORDER BY joined_at LIMIT 1
+         )`,
+        [roomId]
+      );
+    }
+    await _loadRoomMembers(roomId);
+  }
+  await _unfollowRoom(uid, roomId, true);
+  const update = { roomId, uid, removedBy };
+  update.seq = await _recordEvent([uid, ...remaining], "room_member_removed", update);
+  _emitToUsers([uid, ...remaining], "room_member_removed", update);
+}
+
+// ---- CREATE PRIVATE ROOM ----
+app.post("/api/rooms", authMiddleware, async (req, res) => {
+  const { fields, error } = _roomFields({ name: req.body.name, description: req.body.description, icon: req.body.icon });
+  if (error) return res.status(400).json({ error });
+  if (!fields.name) return res.status(400).json({ error: "name required" });
+  try {
+    const { rows: owned } = await pool.query(
+      "SELECT COUNT(*)::int AS count FROM room_members WHERE user_id = $1 AND role = 'owner'", [req.uid]
+    );
+    if (owned[0].count >= PRIVATE_ROOMS_PER_OWNER) {
+      return res.status(400).json({ error: "You can own up to " + PRIVATE_ROOMS_PER_OWNER + " rooms" });
+    }
+    const slug = "p_" + crypto.randomBytes(5).toString("hex");
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `INSERT INTO rooms (slug, world, name, description, icon, visibility, join_approval, created_by)
+         VALUES ($1, 'private', $2, $3, $4, 'private', $5, $6)`,
+        [slug, fields.name, fields.description || "", fields.icon || "", req.body.joinApproval === true, req.uid]
+      );
+      await client.query("INSERT INTO room_members (room_id, user_id, role) VALUES ($1, $2, 'owner')", [slug, req.uid]);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => { });
+      throw e;
+    } finally {
+      client.release();
+    }
+    await _loadRoomCatalog();
+    res.json({ ok: true, room: await _privateRoomDetails(slug) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Private rooms the caller belongs to
+app.get("/api/users/me/rooms", authMiddleware, (req, res) => {
+  const rooms = [];
+  for (const [roomId, members] of _roomMembers.entries()) {
+    const room = _rooms.get(roomId);
+    if (room && members.has(req.uid)) {
+      rooms.push({ ..._publicRoom(room), join_approval: !!room.join_approval, archived: room.archived, role: members.get(req.uid), member_count: members.size });
+    }
+  }
+  res.json(rooms);
+});
+
+app.get("/api/rooms/:roomId", authMiddleware, async (req, res) => {
+  const room = _rooms.get(req.params.roomId);
+  if (room && room.visibility !== "private" && !room.archived) return res.json(_publicRoom(room));
+  try {
+    const member = _privateRoomRole(req.params.roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    res.json(await _privateRoomDetails(req.params.roomId));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- EDIT (owner) ----
+app.patch("/api/rooms/:roomId", authMiddleware, async (req, res) => {
+  const { fields, error } = _roomFields({ name: req.body.name, description: req.body.description, icon: req.body.icon });
+  if (error) return res.status(400).json({ error });
+  if (req.body.joinApproval !== undefined) {
+    if (typeof req.body.joinApproval !== "boolean") return res.status(400).json({ error: "joinApproval must be a boolean" });
+    fields.join_approval = req.body.joinApproval;
+  }
+  const columns = Object.keys(fields);
+  if (!columns.length) return res.status(400).json({ error: "No changes" });
+  try {
+    const member = _privateRoomRole(req.params.roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    if (member.role !== "owner") return res.status(403).json({ error: "Only the owner can edit the room" });
+    const values = [req.params.roomId, ...columns.map(c => fields[c])];
+    await pool.query(
+      `UPDATE rooms SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(", ")}, updated_at = NOW() WHERE slug = $1`, values
+    );
+    await _loadRoomCatalog();
+    const room = _rooms.get(req.params.roomId);
+    const update = { roomId: room.slug, name: room.name, description: room.description, icon: room.icon, join_approval: room.join_approval };
+    const members = _roomMemberUids(room.slug);
+    update.seq = await _recordEvent(members, "room_updated", update);
+    _emitToUsers(members, "room_updated", update);
+    res.json({ ok: true, room: update });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- INVITES (owner) ----
+// expiresInHours: 1-720 (default 168); maxUses: positive integer or null for unlimited
+app.post("/api/rooms/:roomId/invites", authMiddleware, async (req, res) => {
+  const hours = req.body.expiresInHours === undefined ? ROOM_INVITE_DEFAULT_HOURS : req.body.expiresInHours;
+  if (!Number.isInteger(hours) || hours < 1 || hours > ROOM_INVITE_MAX_HOURS) {
+    return res.status(400).json({ error: "expiresInHours must be between 1 and " + ROOM_INVITE_MAX_HOURS });
+  }
+  const maxUses = req.body.maxUses == null ? null : req.body.maxUses;
+  if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0 && maxUses <= 1000)) {
+    return res.status(400).json({ error: "maxUses must be between 1 and 1000, or null" });
+  }
+  try {
+    const member = _privateRoomRole(req.params.roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    if (member.role !== "owner") return res.status(403).json({ error: "Only the owner can create invites" });
+    const { rows } = await pool.query(
+      `INSERT INTO room_invites (code, room_id, created_by, expires_at, max_uses)
+       VALUES ($1, $2, $3, NOW() + make_interval(hours => $4), $5)
+       RETURNING code, expires_at, max_uses, uses, created_at`,
+      [crypto.randomBytes(6).toString("base64url"), req.params.roomId, req.uid, hours, maxUses]
+    );
+    res.json({ ok: true, invite: rows[0] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get("/api/rooms/:roomId/invites", authMiddleware, async (req, res) => {
+  try {
+    const member = _privateRoomRole(req.params.roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    if (member.role !== "owner") return res.status(403).json({ error: "Only the owner can see invites" });
+    const { rows } = await pool.query(
+      `SELECT code, created_by, expires_at, max_uses, uses, created_at FROM room_invites
+       WHERE room_id = $1 AND revoked = FALSE AND expires_at > NOW() AND (max_uses IS NULL OR uses < max_uses)
+       ORDER BY created_at DESC`,
+      [req.params.roomId]
+    );
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete("/api/rooms/:roomId/invites/:code", authMiddleware, async (req, res) => {
+  try {
+    const member = _privateRoomRole(req.params.roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    if (member.role !== "owner") return res.status(403).json({ error: "Only the owner can revoke invites" });
+    const result = await pool.query(
+      "UPDATE room_invites SET revoked = TRUE WHERE room_id = $1 AND code = $2", [req.params.roomId, req.params.code]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Invite not found" });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Live invite and its room, or null when the code is unknown, revoked, expired or used up
+async function _loadInvite(code) {
+  const { rows } = await pool.query(
+    `SELECT code, room_id FROM room_invites
+     WHERE code = $1 AND revoked = FALSE AND expires_at > NOW() AND (max_uses IS NULL OR uses < max_uses)`,
+    [String(code)]
+  );
+  const room = rows.length && _rooms.get(rows[0].room_id);
+  return room && !room.archived ? { code: rows[0].code, room } : null;
+}
+
+// Preview for the invite link page
+app.get("/api/invites/:code", authMiddleware, async (req, res) => {
+  try {
+    const invite = await _loadInvite(req.params.code);
+    if (!invite) return res.status(404).json({ error: "This invite is invalid or has expired" });
+    const members = _roomMembers.get(invite.room.slug) || new Map();
+    res.json({
+      room: { ..._publicRoom(invite.room), join_approval: !!invite.room.join_approval, member_count: members.size },
+      is_member: members.has(req.uid)
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Joins straight away, or files a join request when the room needs approval
+app.post("/api/invites/:code/accept", authMiddleware, async (req, res) => {
+  try {
+    const invite = await _loadInvite(req.params.code);
+    if (!invite) return res.status(404).json({ error: "This invite is invalid or has expired" });
+    const roomId = invite.room.slug;
+    const members = _roomMembers.get(roomId) || new Map();
+    if (members.has(req.uid)) return res.json({ ok: true, joined: true, roomId });
+    if (members.size >= PRIVATE_ROOM_MAX_MEMBERS) return res.status(400).json({ error: "This room is full" });
+    const owner = Array.from(members.entries()).find(([, role]) => role === "owner");
+    if (owner && await _isBlockedBetween(req.uid, owner[0])) return res.status(403).json({ error: "You can't join this room" });
+    // Count the use only if the code is still live when we claim it
+    const claim = await pool.query(
+      `UPDATE room_invites SET uses = uses + 1
+       WHERE code = $1 AND revoked = FALSE AND expires_at > NOW() AND (max_uses IS NULL OR uses < max_uses)`,
+      [invite.code]
+    );
+    if (!claim.rowCount) return res.status(404).json({ error: "This invite is invalid or has expired" });
+    if (invite.room.join_approval) {
+      const { rows } = await pool.query(
+        `INSERT INTO room_join_requests (room_id, user_id, invite_code) VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING RETURNING created_at`,
+        [roomId, req.uid, invite.code]
+      );
+      if (rows.length && owner) {
+        const { rows: userRows } = await pool.query("SELECT id, name, photo FROM users WHERE id = $1", [req.uid]);
+        const event = { roomId, user: { uid: req.uid, name: userRows[0]?.name, photo: userRows[0]?.photo }, created_at: rows[0].created_at };
+        event.seq = await _recordEvent([owner[0]], "room_join_request", event);
+        _emitToUsers([owner[0]], "room_join_request", event);
+      }
+      return res.json({ ok: true, pending: true, roomId });
+    }
+    await _addRoomMember(roomId, req.uid, req.uid);
+    res.json({ ok: true, joined: true, roomId });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- JOIN REQUESTS (owner) ----
+app.get("/api/rooms/:roomId/requests", authMiddleware, async (req, res) => {
+  try {
+    const member = _privateRoomRole(req.params.roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    if (member.role !== "owner") return res.status(403).json({ error: "Only the owner can see join requests" });
+    const { rows } = await pool.query(
+      `SELECT r.user_id, r.invite_code, r.created_at, u.name, u.photo, u.theriotype
+       FROM room_join_requests r JOIN users u ON u.id = r.user_id
+       WHERE r.room_id = $1 ORDER BY r.created_at`,
+      [req.params.roomId]
+    );
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post("/api/rooms/:roomId/requests/:uid/:decision", authMiddleware, async (req, res) => {
+  const { roomId, uid, decision } = req.params;
+  if (!["approve", "decline"].includes(decision)) return res.status(404).json({ error: "Not found" });
+  try {
+    const member = _privateRoomRole(roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    if (member.role !== "owner") return res.status(403).json({ error: "Only the owner can answer join requests" });
+    const result = await pool.query("DELETE FROM room_join_requests WHERE room_id = $1 AND user_id = $2", [roomId, uid]);
+    if (!result.rowCount) return res.status(404).json({ error: "Request not found" });
+    // Declines are silent, like message requests
+    if (decision === "decline") return res.json({ ok: true });
+    if (_roomMemberUids(roomId).length >= PRIVATE_ROOM_MAX_MEMBERS) return res.status(400).json({ error: "This room is full" });
+    await _addRoomMember(roomId, uid, req.uid);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- KICK (owner) ----
+app.delete("/api/rooms/:roomId/members/:uid", authMiddleware, async (req, res) => {
+  try {
+    const member = _privateRoomRole(req.params.roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    if (member.role !== "owner") return res.status(403).json({ error: "Only the owner can remove members" });
+    if (req.params.uid === req.uid) return res.status(400).json({ error: "Use leave instead" });
+    if (!_roomMembers.get(req.params.roomId).has(req.params.uid)) return res.status(404).json({ error: "Not a member" });
+    await _removeRoomMember(req.params.roomId, req.params.uid, req.uid);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- LEAVE ----
+app.post("/api/rooms/:roomId/leave", authMiddleware, async (req, res) => {
+  try {
+    const member = _privateRoomRole(req.params.roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    await _removeRoomMember(req.params.roomId, req.uid, req.uid);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- TRANSFER OWNERSHIP (owner) ----
+app.post("/api/rooms/:roomId/transfer", authMiddleware, async (req, res) => {
+  const roomId = req.params.roomId;
+  const to = req.body.uid;
+  try {
+    const member = _privateRoomRole(roomId, req.uid);
+    if (member.error) return res.status(member.status).json({ error: member.error });
+    if (member.role !== "owner") return res.status(403).json({ error: "Only the owner can transfer the room" });
+    if (typeof to !== "string" || to === req.uid || !_roomMembers.get(roomId).has(to)) {
+      return res.status(400).json({ error: "The new owner must be another member" });
+    }
+    await pool.query(
+      `UPDATE room_members SET role = CASE WHEN user_id = $2 THEN 'owner' ELSE 'member' END
+       WHERE room_id = $1 AND user_id IN ($2, $3)`,
+      [roomId, to, req.uid]
     );
-    rows.reverse();
+    await _loadRoomMembers(roomId);
+    const members = _roomMemberUids(roomId);
+    const update = { roomId, owner: to, previousOwner: req.uid };
+    update.seq = await _recordEvent(members, "room_owner_changed", update);
+    _emitToUsers(members, "room_owner_changed", update);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================================
+// GROUP DMs
+// ============================================================
+// 1:1 chats keep their "uid1_uid2" ids and implicit membership. Group chats get a
+// "g-<uuid>" id (no underscore, so it never parses as a pair) and their members live
+// in conversation_participants. Both kinds share dm_messages and the dm_<chatId>
+// socket channel. Read state: 1:1 uses dm_messages.read_at, groups keep a
+// last_read_id cursor per participant.
+const GROUP_DM_MAX_MEMBERS = 20;
+
+function _directChatMembers(chatId) {
+  const uids = String(chatId).split("_");
+  return uids.length === 2 ? uids : null;
+}
+
+// Index a 1:1 chat under both members (see direct_chats); cheap to repeat per message
+async function _recordDirectChat(chatId, uids) {
+  await pool.query(
+    "INSERT INTO direct_chats (user_id, chat_id) SELECT id, $1 FROM users WHERE id = ANY($2) ON CONFLICT DO NOTHING",
+    [chatId, uids]
+  );
+}
+
+// Current members of a DM chat, or null when it doesn't exist
+async function _dmMembers(chatId) {
+  if (!chatId || typeof chatId !== "string") return null;
+  const direct = _directChatMembers(chatId);
+  if (direct) return direct;
+  const { rows } = await pool.query(
+    "SELECT user_id FROM conversation_participants WHERE conversation_id = $1", [chatId]
+  );
+  return rows.length ? rows.map(r => r.user_id) : null;
+}
+
+function _emitToUsers(uids, event, payload) {
+  for (const uid of new Set(uids)) {
+    for (const socketId of _socketsByUid.get(uid) || []) io.to(socketId).emit(event, payload);
+  }
+}
 
-    // Mark messages as read automatically when history is fetched by recipient
+// Mark a DM chat read for uid and send dm_read to the other members. Returns how many
+// messages were newly read.
+async function _markDmRead(chatId, uid, members) {
+  const others = members.filter(m => m !== uid);
+  let receipt, count;
+  if (_directChatMembers(chatId)) {
     const result = await pool.query(
       `UPDATE dm_messages SET read_at = NOW()
        WHERE chat_id = $1 AND user_id != $2 AND read_at IS NULL`,
-      [chatId, req.uid]
+      [chatId, uid]
     );
-    if (result.rowCount > 0) {
-      const otherUid = uids[0] === req.uid ? uids[1] : uids[0];
-      for (const [socketId, u] of connectedUsers.entries()) {
-        if (u.uid === otherUid) {
-          io.to(socketId).emit("dm_read", { chatId, readBy: req.uid });
-        }
-      }
+    count = result.rowCount;
+    receipt = { chatId, readBy: uid };
+  } else {
+    const { rows } = await pool.query(
+      `WITH prev AS (SELECT last_read_id FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2),
+            latest AS (SELECT COALESCE(MAX(id), 0) AS id FROM dm_messages WHERE chat_id = $1)
+       UPDATE conversation_participants cp SET last_read_id = latest.id
+       FROM prev, latest
+       WHERE cp.conversation_id = $1 AND cp.user_id = $2 AND latest.id > prev.last_read_id
+       RETURNING cp.last_read_id,
+         (SELECT COUNT(*)::int FROM dm_messages WHERE chat_id = $1 AND user_id != $2 AND id > prev.last_read_id) AS count`,
+      [chatId, uid]
+    );
+    count = rows.length ? rows[0].count : 0;
+    receipt = { chatId, readBy: uid, lastReadId: rows[0]?.last_read_id };
+  }
+  if (!count) return 0;
+  receipt.seq = await _recordEvent(others, "dm_read", receipt);
+  _emitToUsers(others, "dm_read", receipt);
+  _emitConversationUpdated(chatId, members).catch(e => console.error("[inbox] error:", e.message));
+  return count;
+}
+
+async function _loadConversation(id) {
+  const { rows } = await pool.query("SELECT id, name, created_by, created_at FROM conversations WHERE id = $1", [id]);
+  if (!rows.length) return null;
+  const { rows: participants } = await pool.query(
+    `SELECT cp.user_id, cp.role, cp.joined_at, cp.last_read_id, u.name, u.photo, u.theriotype
+     FROM conversation_participants cp JOIN users u ON u.id = cp.user_id
+     WHERE cp.conversation_id = $1 ORDER BY cp.joined_at`,
+    [id]
+  );
+  return { ...rows[0], participants };
+}
+
+// Loads the group and the caller's role, or { error, status }
+async function _groupForMember(id, uid) {
+  const conversation = await _loadConversation(id);
+  const me = conversation && conversation.participants.find(p => p.user_id === uid);
+  if (!me) return { error: "Conversation not found", status: 404 };
+  return { conversation, role: me.role };
+}
+
+// Only friends of the inviter can be added to a group
+async function _checkInvitees(uid, invitees) {
+  if (!Array.isArray(invitees) || !invitees.length || invitees.some(i => typeof i !== "string")) {
+    return { error: "members must be a non-empty array of user ids", status: 400 };
+  }
+  const unique = Array.from(new Set(invitees)).filter(i => i !== uid);
+  const { rows } = await pool.query(
+    "SELECT friend_id FROM friends WHERE user_id = $1 AND friend_id = ANY($2)", [uid, unique]
+  );
+  if (rows.length !== unique.length) return { error: "You can only add friends to a group", status: 403 };
+  const { rows: blocked } = await pool.query(
+    `SELECT 1 FROM blocks WHERE (blocker_uid = ANY($1) AND blocked_uid = $2) OR (blocker_uid = $2 AND blocked_uid = ANY($1))
+     LIMIT 1`, [unique, uid]
+  );
+  if (blocked.length) return { error: "Cannot add one of these users", status: 403 };
+  return { uids: unique };
+}
+
+async function _removeParticipant(conversation, uid, removedBy) {
+  const id = conversation.id;
+  const remaining = conversation.participants.filter(p => p.user_id !== uid);
+  if (!remaining.length) {
+    // Last one out: the group and its history go away
+    const { rows } = await pool.query("DELETE FROM dm_messages WHERE chat_id = $1 RETURNING id", [id]);
+    if (rows.length) await _dropMessageExtras("dm", rows.map(r => r.id));
+    await pool.query("DELETE FROM conversations WHERE id = $1", [id]);
+  } else {
+    await pool.query("DELETE FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2", [id, uid]);
+    const leaver = conversation.participants.find(p => p.user_id === uid);
+    if (leaver.role === "owner") {
+      // Ownership passes to the longest-standing member
+      await pool.query(
+        "UPDATE conversation_participants SET role = 'owner' WHERE conversation_id = $1 AND user_id = $2",
+        [id, remaining[0].user_id]
+      );
+    }
+  }
+  for (const [socketId, u] of connectedUsers.entries()) {
+    if (u.uid === uid) io.sockets.sockets.get(socketId)?.leave("dm_" + id);
+  }
+  const update = { chatId: id, uid, removedBy };
+  update.seq = await _recordEvent([uid, ...remaining.map(p => p.user_id)], "conversation_member_removed", update);
+  _emitToUsers([uid, ...remaining.map(p => p.user_id)], "conversation_member_removed", update);
+}
+
+// ---- CREATE GROUP ----
+app.post("/api/conversations", authMiddleware, async (req, res) => {
+  const name = typeof req.body.name === "string" ? req.body.name.trim().slice(0, 60) : "";
+  try {
+    const invitees = await _checkInvitees(req.uid, req.body.members);
+    if (invitees.error) return res.status(invitees.status).json({ error: invitees.error });
+    // Fewer than three people is a 1:1 chat, not a group
+    if (invitees.uids.length < 2) return res.status(400).json({ error: "A group needs at least two other members" });
+    if (invitees.uids.length + 1 > GROUP_DM_MAX_MEMBERS) {
+      return res.status(400).json({ error: "Groups are limited to " + GROUP_DM_MAX_MEMBERS + " members" });
+    }
+    const id = "g-" + crypto.randomUUID();
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("INSERT INTO conversations (id, name, created_by) VALUES ($1, $2, $3)", [id, name, req.uid]);
+      await client.query(
+        `INSERT INTO conversation_participants (conversation_id, user_id, role)
+         SELECT $1, uid, CASE WHEN uid = $2 THEN 'owner' ELSE 'member' END FROM unnest($3::text[]) AS uid`,
+        [id, req.uid, [req.uid, ...invitees.uids]]
+      );
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => { });
+      throw e;
+    } finally {
+      client.release();
+    }
+    const conversation = await _loadConversation(id);
+    const event = { conversation, addedBy: req.uid };
+    event.seq = await _recordEvent(invitees.uids, "conversation_added", event);
+    _emitToUsers(invitees.uids, "conversation_added", event);
+    res.json({ ok: true, conversation });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get("/api/conversations/:id", authMiddleware, async (req, res) => {
+  try {
+    const group = await _groupForMember(req.params.id, req.uid);
+    if (group.error) return res.status(group.status).json({ error: group.error });
+    res.json(group.conversation);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- RENAME (owner) ----
+app.patch("/api/conversations/:id", authMiddleware, async (req, res) => {
+  const name = typeof req.body.name === "string" ? req.body.name.trim().slice(0, 60) : null;
+  if (name === null) return res.status(400).json({ error: "name required" });
+  try {
+    const group = await _groupForMember(req.params.id, req.uid);
+    if (group.error) return res.status(group.status).json({ error: group.error });
+    if (group.role !== "owner") return res.status(403).json({ error: "Only the owner can rename the group" });
+    await pool.query("UPDATE conversations SET name = $2 WHERE id = $1", [req.params.id, name]);
+    const update = { chatId: req.params.id, name };
+    update.seq = await _recordEvent("dm_" + req.params.id, "conversation_renamed", update);
+    io.to("dm_" + req.params.id).emit("conversation_renamed", update);
+    res.json({ ok: true, name });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- INVITE (owner) ----
+app.post("/api/conversations/:id/members", authMiddleware, async (req, res) => {
+  try {
+    const group = await _groupForMember(req.params.id, req.uid);
+    if (group.error) return res.status(group.status).json({ error: group.error });
+    if (group.role !== "owner") return res.status(403).json({ error: "Only the owner can invite" });
+    const invitees = await _checkInvitees(req.uid, req.body.members);
+    if (invitees.error) return res.status(invitees.status).json({ error: invitees.error });
+    const current = group.conversation.participants.map(p => p.user_id);
+    const added = invitees.uids.filter(u => !current.includes(u));
+    if (current.length + added.length > GROUP_DM_MAX_MEMBERS) {
+      return res.status(400).json({ error: "Groups are limited to " + GROUP_DM_MAX_MEMBERS + " members" });
+    }
+    if (!added.length) return res.json({ ok: true, added: [] });
+    // New members start with everything so far already read
+    await pool.query(
+      `INSERT INTO conversation_participants (conversation_id, user_id, role, last_read_id)
+       SELECT $1, uid, 'member', (SELECT COALESCE(MAX(id), 0) FROM dm_messages WHERE chat_id = $1)
+       FROM unnest($2::text[]) AS uid ON CONFLICT DO NOTHING`,
+      [req.params.id, added]
+    );
+    const conversation = await _loadConversation(req.params.id);
+    const event = { conversation, addedBy: req.uid };
+    event.seq = await _recordEvent(added, "conversation_added", event);
+    _emitToUsers(added, "conversation_added", event);
+    const update = { chatId: req.params.id, uids: added, addedBy: req.uid };
+    update.seq = await _recordEvent(current, "conversation_member_added", update);
+    _emitToUsers(current, "conversation_member_added", update);
+    res.json({ ok: true, added });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- KICK (owner) ----
+app.delete("/api/conversations/:id/members/:uid", authMiddleware, async (req, res) => {
+  try {
+    const group = await _groupForMember(req.params.id, req.uid);
+    if (group.error) return res.status(group.status).json({ error: group.error });
+    if (group.role !== "owner") return res.status(403).json({ error: "Only the owner can remove members" });
+    if (req.params.uid === req.uid) return res.status(400).json({ error: "Use leave instead" });
+    if (!group.conversation.participants.some(p => p.user_id === req.params.uid)) {
+      return res.status(404).json({ error: "Not a member" });
+    }
+    await _removeParticipant(group.conversation, req.params.uid, req.uid);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- LEAVE ----
+app.post("/api/conversations/:id/leave", authMiddleware, async (req, res) => {
+  try {
+    const group = await _groupForMember(req.params.id, req.uid);
+    if (group.error) return res.status(group.status).json({ error: group.error });
+    await _removeParticipant(group.conversation, req.uid, req.uid);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- CONVERSATION LIST (inbox) ----
+// One row per 1:1 chat with messages and per group the caller belongs to, newest first.
+// Direct chats carry the partner's profile, groups their name and size. Clients keep it
+// current with `conversation_updated`, which sends each member their own row.
+async function _conversationSummaries(uid, chatId) {
+  // Callers asking for one chatId have already checked membership
+  const chats = chatId
+    ? `SELECT $2::text AS chat_id`
+    : `SELECT chat_id FROM direct_chats d WHERE user_id = $1 AND EXISTS (SELECT 1 FROM dm_messages WHERE chat_id = d.chat_id)
+       UNION SELECT conversation_id FROM conversation_participants WHERE user_id = $1`;
+  const { rows } = await pool.query(
+    `WITH chats AS (${chats})
+     SELECT c.chat_id, g.name AS group_name, g.created_at AS group_created_at,
+            (SELECT COUNT(*)::int FROM conversation_participants WHERE conversation_id = c.chat_id) AS member_count,
+            lm.id AS last_id, lm.user_id AS last_user_id, lm.text AS last_text,
+            lm.created_at AS last_at, lm.read_at AS last_read_at, lm.deleted_at AS last_deleted_at,
+            (SELECT COUNT(*)::int FROM dm_messages m
+             WHERE m.chat_id = c.chat_id AND m.user_id != $1
+               AND (CASE WHEN cp.conversation_id IS NULL THEN m.read_at IS NULL ELSE m.id > cp.last_read_id END)) AS unread,
+            COALESCE(s.muted, FALSE) AS muted, COALESCE(s.archived, FALSE) AS archived,
+            r.status AS request_status, r.from_uid AS request_from
+     FROM chats c
+     LEFT JOIN conversations g ON g.id = c.chat_id
+     LEFT JOIN conversation_participants cp ON cp.conversation_id = c.chat_id AND cp.user_id = $1
+     LEFT JOIN conversation_settings s ON s.chat_id = c.chat_id AND s.user_id = $1
+     LEFT JOIN dm_requests r ON r.chat_id = c.chat_id AND r.status != 'accepted'
+     LEFT JOIN LATERAL (
+       SELECT id, user_id, text, created_at, read_at, deleted_at FROM dm_messages WHERE chat_id = c.chat_id ORDER BY id DESC LIMIT 1
+     ) lm ON TRUE
+     ORDER BY COALESCE(lm.created_at, g.created_at) DESC NULLS LAST`,
+    chatId ? [uid, chatId] : [uid]
+  );
+
+  const partnerUids = rows.filter(r => r.group_name === null).map(r => r.chat_id.split("_").find(p => p !== uid));
+  const partners = {};
+  if (partnerUids.length) {
+    const { rows: users } = await pool.query(
+      "SELECT id, name, photo, theriotype, last_seen FROM users WHERE id = ANY($1)", [partnerUids]
+    );
+    users.forEach(u => { partners[u.id] = { uid: u.id, name: u.name, photo: u.photo, theriotype: u.theriotype || "", last_seen: u.last_seen }; });
+  }
+  return rows.map(r => {
+    const isGroup = r.group_name !== null;
+    const partnerUid = isGroup ? null : r.chat_id.split("_").find(p => p !== uid);
+    return {
+      chatId: r.chat_id,
+      type: isGroup ? "group" : "direct",
+      partner: isGroup ? null : (partners[partnerUid] || { uid: partnerUid, name: "Therian", photo: "", theriotype: "" }),
+      group: isGroup ? { name: r.group_name, member_count: r.member_count } : null,
+      last_message: r.last_id ? {
+        id: r.last_id, user_id: r.last_user_id, text: r.last_text,
+        created_at: r.last_at, read_at: r.last_read_at, deleted_at: r.last_deleted_at
+      } : null,
+      updated_at: r.last_at || r.group_created_at,
+      unread: r.unread,
+      muted: r.muted,
+      archived: r.archived,
+      // Open message request: "incoming" sits in the requests folder, "outgoing" awaits an answer
+      // The sender never learns their request was declined
+      request: r.request_status ? {
+        status: r.request_from === uid && r.request_status === "declined" ? "pending" : r.request_status,
+        direction: r.request_from === uid ? "outgoing" : "incoming"
+      } : null
+    };
+  });
+}
+
+// Send each online member their refreshed inbox row for chatId
+async function _emitConversationUpdated(chatId, uids) {
+  for (const uid of uids) {
+    if (!_socketsByUid.has(uid)) continue;
+    const [summary] = await _conversationSummaries(uid, chatId);
+    if (summary) _emitToUsers([uid], "conversation_updated", summary);
+  }
+}
+
+// ?folder=requests lists pending message requests, ?folder=archived what the caller
+// archived. The default inbox leaves out both, and declined requests.
+app.get("/api/conversations", authMiddleware, async (req, res) => {
+  const folder = ["requests", "archived"].includes(req.query.folder) ? req.query.folder : "inbox";
+  try {
+    const all = await _conversationSummaries(req.uid);
+    res.json(all.filter(c => {
+      const incoming = c.request && c.request.direction === "incoming";
+      if (folder === "requests") return incoming && c.request.status === "pending";
+      if (incoming) return false;
+      return folder === "archived" ? c.archived : !c.archived;
+    }));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- MESSAGE REQUESTS (1:1 DMs from non-friends) ----
+// users.dm_privacy decides who can open a DM: "everyone", "friends" or "requests".
+// Under "requests" a stranger's first message creates a pending dm_requests row; the
+// chat sits in the recipient's requests folder until they accept, decline, or simply
+// reply (which accepts). Chats that predate this, where the recipient has already
+// written, and matchmaking chats count as accepted.
+const DM_PRIVACY_LEVELS = ["everyone", "friends", "requests"];
+
+// { allowed, request: "new" | "pending" | "declined", accepted } or { error }. A declined
+// request still lets the sender write, but only they see it, as if it were still pending.
+async function _checkDmAllowed(chatId, senderUid, recipientUid) {
+  const { rows } = await pool.query(
+    `SELECT EXISTS (SELECT 1 FROM friends WHERE user_id = $1 AND friend_id = $2) AS friends,
+            (SELECT dm_privacy FROM users WHERE id = $2) AS privacy,
+            r.status, r.from_uid,
+            EXISTS (SELECT 1 FROM dm_messages WHERE chat_id = $3 AND user_id = $2) AS recipient_wrote
+     FROM (SELECT 1) x LEFT JOIN dm_requests r ON r.chat_id = $3`,
+    [senderUid, recipientUid, chatId]
+  );
+  const r = rows[0];
+  if (r.friends || r.status === "accepted") return { allowed: true };
+  if (r.status) {
+    if (r.from_uid === recipientUid) {
+      // Replying to a request accepts it
+      await pool.query("UPDATE dm_requests SET status = 'accepted', responded_at = NOW() WHERE chat_id = $1", [chatId]);
+      return { allowed: true, accepted: true };
+    }
+    return { allowed: true, request: r.status };
+  }
+  if (r.recipient_wrote || r.privacy === "everyone") return { allowed: true };
+  if (r.privacy === "friends") return { error: "🔒 This user only accepts messages from friends." };
+  await pool.query(
+    `INSERT INTO dm_requests (chat_id, from_uid, to_uid) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+    [chatId, senderUid, recipientUid]
+  );
+  return { allowed: true, request: "new" };
+}
+
+async function _answerDmRequest(chatId, uid, status) {
+  const { rows } = await pool.query(
+    `UPDATE dm_requests SET status = $3, responded_at = NOW()
+     WHERE chat_id = $1 AND to_uid = $2 AND status = 'pending' RETURNING from_uid`,
+    [chatId, uid, status]
+  );
+  return rows[0] || null;
+}
+
+app.post("/api/dms/:chatId/accept", authMiddleware, async (req, res) => {
+  try {
+    const request = await _answerDmRequest(req.params.chatId, req.uid, "accepted");
+    if (!request) return res.status(404).json({ error: "Request not found" });
+    const event = { chatId: req.params.chatId, by: req.uid };
+    event.seq = await _recordEvent([request.from_uid], "message_request_accepted", event);
+    _emitToUsers([request.from_uid], "message_request_accepted", event);
+    _emitConversationUpdated(req.params.chatId, [req.uid, request.from_uid]).catch(() => { });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Declining is silent: the sender's chat just stays pending on their side
+app.post("/api/dms/:chatId/decline", authMiddleware, async (req, res) => {
+  try {
+    const request = await _answerDmRequest(req.params.chatId, req.uid, "declined");
+    if (!request) return res.status(404).json({ error: "Request not found" });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- ARCHIVE / MUTE (per user, per chat) ----
+// Muting stops push notifications and dm_notify toasts for the chat; archiving moves it
+// out of the default inbox.
+app.patch("/api/dms/:chatId/settings", authMiddleware, async (req, res) => {
+  const { muted, archived } = req.body;
+  const valid = (v) => v === undefined || typeof v === "boolean";
+  if (!valid(muted) || !valid(archived) || (muted === undefined && archived === undefined)) {
+    return res.status(400).json({ error: "muted and/or archived (boolean) required" });
+  }
+  const chatId = req.params.chatId;
+  try {
+    const members = await _dmMembers(chatId);
+    if (!members || !members.includes(req.uid)) return res.status(403).json({ error: "Access denied" });
+    const { rows } = await pool.query(
+      `INSERT INTO conversation_settings (user_id, chat_id, muted, archived, updated_at)
+       VALUES ($1, $2, COALESCE($3, FALSE), COALESCE($4, FALSE), NOW())
+       ON CONFLICT (user_id, chat_id) DO UPDATE SET
+         muted = COALESCE($3, conversation_settings.muted),
+         archived = COALESCE($4, conversation_settings.archived),
+         updated_at = NOW()
+       RETURNING muted, archived`,
+      [req.uid, chatId, muted ?? null, archived ?? null]
+    );
+    _emitConversationUpdated(chatId, [req.uid]).catch(() => { });
+    res.json({ ok: true, ...rows[0] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- DM MESSAGES ----
+app.get("/api/dms/:chatId/messages", authMiddleware, async (req, res) => {
+  const chatId = req.params.chatId;
+  try {
+    const members = await _dmMembers(chatId);
+    if (!members || !members.includes(req.uid)) return res.status(403).json({ error: "Access denied" });
+    const page = await _fetchHistoryPage("dm", chatId, req.query, req.uid);
+    if (page.error) return res.status(page.status).json({ error: page.error });
+
+    // Mark messages as read once the recipient has loaded the newest page
+    if (!page.has_more_after) {
+      const count = await _markDmRead(chatId, req.uid, members);
+      if (count > 0 && _directChatMembers(chatId)) {
+        // Update read_at in the returned rows for consistency
+        page.messages.forEach(r => {
+          if (r.user_id !== req.uid && !r.read_at) r.read_at = new Date();
+        });
+      }
+    }
+
+    res.json(req.query.format === "page" ? page : _historyRows(page));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- THREADS (built on reply_to) ----
+// A thread is a root message plus every reply below it, within one room or DM.
+// Clients follow a thread with the follow_thread socket event and then receive
+// `thread_reply` for each new descendant without loading the whole room.
+const MAX_THREAD_DEPTH = 50;
+const MAX_THREAD_MESSAGES = 500;
+
+// Walk reply_to upwards to the topmost message still present in the same room/chat
+async function _threadRootOf(kind, msgId) {
+  const src = HISTORY_SOURCES[kind];
+  const { rows } = await pool.query(
+    `WITH RECURSIVE up AS (
+       SELECT id, reply_to, ${src.scope} AS scope_id, 0 AS depth FROM ${src.table} WHERE id = $1
+       UNION ALL
+       SELECT t.id, t.reply_to, t.${src.scope}, up.depth + 1
+       FROM ${src.table} t JOIN up ON t.id = up.reply_to
+       WHERE t.${src.scope} = up.scope_id AND up.depth < $2
+     )
+     SELECT id, scope_id FROM up ORDER BY depth DESC LIMIT 1`,
+    [msgId, MAX_THREAD_DEPTH]
+  );
+  return rows[0] || null;
+}
+
+// Direct reply stats for a page of messages: m.reply_count, m.last_reply_at
+async function _attachReplyStats(kind, messages) {
+  if (!messages.length) return;
+  const src = HISTORY_SOURCES[kind];
+  const { rows } = await pool.query(
+    `SELECT reply_to, COUNT(*)::int AS count, MAX(created_at) AS last_at
+     FROM ${src.table} WHERE reply_to = ANY($1) GROUP BY reply_to`,
+    [messages.map(m => m.id)]
+  );
+  const stats = new Map(rows.map(r => [r.reply_to, r]));
+  messages.forEach(m => {
+    const s = stats.get(m.id);
+    m.reply_count = s ? s.count : 0;
+    m.last_reply_at = s ? s.last_at : null;
+  });
+}
+
+// Tell thread followers about a new reply (called after new_message / new_dm)
+async function _emitThreadReply(kind, message) {
+  if (!message.reply_to) return;
+  const root = await _threadRootOf(kind, message.id);
+  if (!root || root.id === message.id) return;
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM ${HISTORY_SOURCES[kind].table} WHERE reply_to = $1`, [message.reply_to]
+  );
+  // Followers who lost access since (left a group, removed from a private room) are dropped here
+  const channel = "thread_" + kind + "_" + root.id;
+  const allowed = new Map(); // uid → can still read the scope
+  for (const socketId of Array.from(io.sockets.adapter.rooms.get(channel) || [])) {
+    const u = connectedUsers.get(socketId);
+    if (u && !allowed.has(u.uid)) allowed.set(u.uid, await _canReadScope(kind, root.scope_id, u.uid));
+    if (!u || !allowed.get(u.uid)) io.sockets.sockets.get(socketId)?.leave(channel);
+  }
+  io.to(channel).except(_socketsBlocking(message.user_id)).emit("thread_reply", {
+    kind, rootId: root.id, message,
+    parent: { id: message.reply_to, reply_count: rows[0].count, last_reply_at: message.created_at }
+  });
+}
+
+// Can this user read messages in this room/chat?
+async function _canReadScope(kind, scopeId, uid) {
+  if (kind === "room") return _canAccessRoom(uid, scopeId, true);
+  const members = await _dmMembers(scopeId);
+  return !!members && members.includes(uid);
+}
+
+// ?kind=room|dm (default room). Any message of the thread can be passed as :id.
+app.get("/api/messages/:id/thread", authMiddleware, async (req, res) => {
+  const kind = req.query.kind === "dm" ? "dm" : "room";
+  const src = HISTORY_SOURCES[kind];
+  const id = _parseMsgId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid message id" });
+  try {
+    const root = await _threadRootOf(kind, id);
+    if (!root) return res.status(404).json({ error: "Message not found" });
+    if (!(await _canReadScope(kind, root.scope_id, req.uid))) return res.status(403).json({ error: "Access denied" });
+    const { rows } = await pool.query(
+      `WITH RECURSIVE down AS (
+         SELECT id, 0 AS depth FROM ${src.table} WHERE id = $1
+         UNION ALL
+         SELECT c.id, down.depth + 1 FROM ${src.table} c JOIN down ON c.reply_to = down.id
+         WHERE c.${src.scope} = $2 AND down.depth < $3
+       )
+       SELECT ${src.columns} FROM down JOIN ${src.table} m ON m.id = down.id
+       ORDER BY m.id LIMIT ${MAX_THREAD_MESSAGES + 1}`,
+      [root.id, root.scope_id, MAX_THREAD_DEPTH]
+    );
+    const truncated = rows.length > MAX_THREAD_MESSAGES;
+    const blocked = await _loadBlockedSet(req.uid);
+    const { rows: hiddenRows } = await pool.query(
+      "SELECT msg_id FROM hidden_messages WHERE user_id = $1 AND msg_kind = $2 AND msg_id = ANY($3)",
+      [req.uid, kind, rows.map(m => m.id)]
+    );
+    const hidden = new Set(hiddenRows.map(h => h.msg_id));
+    const messages = rows.slice(0, MAX_THREAD_MESSAGES)
+      .filter((m, i) => i === 0 || (!blocked.has(m.user_id) && !hidden.has(m.id)));
+    await _attachReactions(kind, messages, req.uid);
+    await _attachAttachments(kind, messages);
+    await _attachReplyStats(kind, messages);
+    const users = await _loadUserProfiles(new Set(messages.map(m => m.user_id)));
+    res.json({ kind, root: messages[0], replies: messages.slice(1), users, truncated });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- PINNED MESSAGES + ANNOUNCEMENTS ----
+const MAX_PINS_PER_ROOM = 25;
+const MAX_ANNOUNCEMENT_HOURS = 24 * 90;
+
+// Pins and non-expired announcement banners for a room
+app.get("/api/rooms/:roomId/pins", authMiddleware, async (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_canAccessRoom(req.uid, roomId, true)) return res.status(400).json({ error: "Invalid room" });
+  try {
+    const [pins, announcements] = await Promise.all([
+      pool.query(
+        `SELECT m.id, m.room_id, m.user_id, m.text, m.created_at, m.edited_at, p.pinned_by, p.pinned_at
+         FROM room_pins p JOIN messages m ON m.id = p.msg_id
+         WHERE p.room_id = $1 ORDER BY p.pinned_at DESC`,
+        [roomId]
+      ),
+      pool.query(
+        `SELECT id, room_id, text, created_by, created_at, expires_at FROM room_announcements
+         WHERE room_id = $1 AND (expires_at IS NULL OR expires_at > NOW())
+         ORDER BY created_at DESC`,
+        [roomId]
+      )
+    ]);
+    await _attachAttachments("room", pins.rows);
+    const users = await _loadUserProfiles(new Set(pins.rows.map(m => m.user_id)));
+    res.json({ pins: pins.rows, announcements: announcements.rows, users });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post("/api/rooms/:roomId/pins/:msgId", authMiddleware, requirePermission("pin_messages"), async (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_can(req.perms, "pin_messages", roomId)) return res.status(403).json({ error: "Not authorized" });
+  const msgId = _parseMsgId(req.params.msgId);
+  if (!msgId) return res.status(400).json({ error: "Invalid message id" });
+  try {
+    const { rows: msgRows } = await pool.query(
+      "SELECT id, room_id, user_id, text, created_at FROM messages WHERE id = $1 AND room_id = $2 AND deleted_at IS NULL", [msgId, roomId]
+    );
+    if (!msgRows.length) return res.status(404).json({ error: "Message not found" });
+    const { rows: countRows } = await pool.query("SELECT COUNT(*) FROM room_pins WHERE room_id = $1", [roomId]);
+    if (parseInt(countRows[0].count) >= MAX_PINS_PER_ROOM) {
+      return res.status(400).json({ error: "This room already has " + MAX_PINS_PER_ROOM + " pinned messages" });
+    }
+    const { rows } = await pool.query(
+      `INSERT INTO room_pins (room_id, msg_id, pinned_by) VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING RETURNING pinned_by, pinned_at`,
+      [roomId, msgRows[0].id, req.uid]
+    );
+    if (!rows.length) return res.json({ ok: true, already: true });
+    io.to("room_" + roomId).emit("message_pinned", { roomId, message: msgRows[0], pinned_by: rows[0].pinned_by, pinned_at: rows[0].pinned_at });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete("/api/rooms/:roomId/pins/:msgId", authMiddleware, requirePermission("pin_messages"), async (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_can(req.perms, "pin_messages", roomId)) return res.status(403).json({ error: "Not authorized" });
+  const msgId = _parseMsgId(req.params.msgId);
+  if (!msgId) return res.status(400).json({ error: "Invalid message id" });
+  try {
+    const result = await pool.query("DELETE FROM room_pins WHERE room_id = $1 AND msg_id = $2", [roomId, msgId]);
+    if (!result.rowCount) return res.status(404).json({ error: "Pin not found" });
+    io.to("room_" + roomId).emit("message_unpinned", { roomId, msgId });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Banner shown above the chat; expiresInHours omitted = until removed
+app.post("/api/rooms/:roomId/announcements", authMiddleware, requirePermission("pin_messages"), async (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_isValidRoom(roomId)) return res.status(400).json({ error: "Invalid room" });
+  if (!_can(req.perms, "pin_messages", roomId)) return res.status(403).json({ error: "Not authorized" });
+  const { text, expiresInHours } = req.body;
+  if (!text || typeof text !== "string" || !text.trim() || text.length > 500) return res.status(400).json({ error: "Invalid text" });
+  const hours = expiresInHours === undefined || expiresInHours === null ? null : Number(expiresInHours);
+  if (hours !== null && (!(hours > 0) || hours > MAX_ANNOUNCEMENT_HOURS)) {
+    return res.status(400).json({ error: "expiresInHours must be between 0 and " + MAX_ANNOUNCEMENT_HOURS });
+  }
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO room_announcements (room_id, text, created_by, expires_at)
+       VALUES ($1, $2, $3, CASE WHEN $4::float IS NULL THEN NULL ELSE NOW() + make_interval(secs => $4::float * 3600) END)
+       RETURNING id, room_id, text, created_by, created_at, expires_at`,
+      [roomId, text.trim(), req.uid, hours]
+    );
+    io.to("room_" + roomId).emit("announcement_posted", rows[0]);
+    res.json({ ok: true, announcement: rows[0] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete("/api/rooms/:roomId/announcements/:id", authMiddleware, requirePermission("pin_messages"), async (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_can(req.perms, "pin_messages", roomId)) return res.status(403).json({ error: "Not authorized" });
+  const id = _parseMsgId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid announcement id" });
+  try {
+    const result = await pool.query("DELETE FROM room_announcements WHERE id = $1 AND room_id = $2", [id, roomId]);
+    if (!result.rowCount) return res.status(404).json({ error: "Announcement not found" });
+    io.to("room_" + roomId).emit("announcement_removed", { roomId, id });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================================
+// ROOM MODERATION (slow mode, read-only, per-room mutes and kicks)
+// ============================================================
+// Posting rules live in the room's catalog settings: slow_mode_secs (0 = off) and
+// post_mode ("everyone", "moderators" for announcement-only, "none" for read-only).
+// Moderators of the room are exempt from both. Mutes and kicks are per room and stack
+// with the global muted_until; a kicked user can't join or post until it runs out.
+const ROOM_POST_MODES = ["everyone", "moderators", "none"];
+const MAX_SLOW_MODE_SECS = 6 * 3600;
+const MAX_ROOM_SANCTION_MINUTES = 60 * 24 * 30;
+
+const _roomSanctions = new Map(); // "roomId|uid|mute|kick" → until (ms, Infinity = until lifted)
+const _roomLastPost = new Map();  // "roomId|uid" → timestamp of the last accepted message
+
+async function _loadRoomSanctions() {
+  await pool.query("DELETE FROM room_sanctions WHERE until IS NOT NULL AND until <= NOW()");
+  const { rows } = await pool.query("SELECT room_id, user_id, type, until FROM room_sanctions");
+  _roomSanctions.clear();
+  rows.forEach(r => _roomSanctions.set(`${r.room_id}|${r.user_id}|${r.type}`, r.until ? new Date(r.until).getTime() : Infinity));
+}
+
+// When the sanction ends (ms, Infinity if indefinite), or null if there is none
+function _roomSanctionUntil(roomId, uid, type) {
+  const key = `${roomId}|${uid}|${type}`;
+  const until = _roomSanctions.get(key);
+  if (until === undefined) return null;
+  if (until <= Date.now()) { _roomSanctions.delete(key); return null; }
+  return until;
+}
+
+function _describeUntil(until) {
+  if (until === Infinity) return "until a moderator lifts it";
+  const mins = Math.ceil((until - Date.now()) / 60000);
+  return mins < 60 ? `for ${mins} more min` : `for ${Math.ceil(mins / 60)} more h`;
+}
+
+// Reason string when uid can't post in roomId right now, or null
+async function _checkRoomPosting(roomId, uid) {
+  const kicked = _roomSanctionUntil(roomId, uid, "kick");
+  if (kicked) return "🚫 You were removed from this room " + _describeUntil(kicked) + ".";
+  const muted = _roomSanctionUntil(roomId, uid, "mute");
+  if (muted) return "🔇 You are muted in this room " + _describeUntil(muted) + ".";
+  const { post_mode: mode = "everyone", slow_mode_secs: slow = 0 } = _rooms.get(roomId).settings || {};
+  if (mode === "everyone" && !slow) return null;
+  // Only look up roles when the room actually restricts posting
+  const perms = await _getPermissions(uid);
+  if (_can(perms, "room_settings", roomId)) return null;
+  if (mode === "none") return "🔒 This room is read-only.";
+  if (mode === "moderators") return "📢 Only moderators can post in this room.";
+  const wait = Math.ceil(((_roomLastPost.get(roomId + "|" + uid) || 0) + slow * 1000 - Date.now()) / 1000);
+  if (wait > 0) return `🐢 Slow mode is on. You can post again in ${wait}s.`;
+  return null;
+}
+
+// Last-post times only matter for the longest slow mode; expired sanctions are dropped too
+function _startRoomModerationCleanupJob() {
+  setInterval(() => {
+    const cutoff = Date.now() - MAX_SLOW_MODE_SECS * 1000;
+    for (const [key, at] of _roomLastPost.entries()) if (at < cutoff) _roomLastPost.delete(key);
+    for (const [key, until] of _roomSanctions.entries()) if (until <= Date.now()) _roomSanctions.delete(key);
+  }, 10 * 60 * 1000); // Every 10 minutes
+}
+
+// { slowModeSecs, postMode }; either can be omitted
+app.patch("/api/rooms/:roomId/moderation", authMiddleware, requirePermission("room_settings"), async (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_isValidRoom(roomId)) return res.status(400).json({ error: "Invalid room" });
+  if (!_can(req.perms, "room_settings", roomId)) return res.status(403).json({ error: "Not authorized" });
+  const changes = {};
+  if (req.body.slowModeSecs !== undefined) changes.slow_mode_secs = req.body.slowModeSecs;
+  if (req.body.postMode !== undefined) changes.post_mode = req.body.postMode;
+  if (!Object.keys(changes).length) return res.status(400).json({ error: "No changes" });
+  const error = _validateRoomSettings(changes);
+  if (error) return res.status(400).json({ error });
+  try {
+    await pool.query(
+      "UPDATE rooms SET settings = settings || $2::jsonb, updated_at = NOW() WHERE slug = $1", [roomId, changes]
+    );
+    await _loadRoomCatalog();
+    const settings = _rooms.get(roomId).settings;
+    const update = { roomId, slow_mode_secs: settings.slow_mode_secs || 0, post_mode: settings.post_mode || "everyone", by: req.uid };
+    console.log(`[room-mod] ${req.uid} set ${roomId} slow=${update.slow_mode_secs}s mode=${update.post_mode}`);
+    update.seq = await _recordEvent("room_" + roomId, "room_settings_updated", update);
+    io.to("room_" + roomId).emit("room_settings_updated", update);
+    res.json({ ok: true, ...update });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get("/api/rooms/:roomId/sanctions", authMiddleware, requirePermission("mute_users"), async (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_can(req.perms, "mute_users", roomId) && !_can(req.perms, "kick_users", roomId)) {
+    return res.status(403).json({ error: "Not authorized" });
+  }
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.user_id, s.type, s.until, s.reason, s.created_by, s.created_at, u.name, u.photo
+       FROM room_sanctions s JOIN users u ON u.id = s.user_id
+       WHERE s.room_id = $1 AND (s.until IS NULL OR s.until > NOW()) ORDER BY s.created_at DESC`,
+      [roomId]
+    );
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Shared by the mute and kick endpoints. minutes = 0 lifts the sanction, null makes it
+// last until lifted.
+async function _setRoomSanction(req, res, type) {
+  const perm = type === "mute" ? "mute_users" : "kick_users";
+  const roomId = req.params.roomId;
+  const target = req.params.uid;
+  if (!_isValidRoom(roomId, true)) return res.status(400).json({ error: "Invalid room" });
+  if (!_can(req.perms, perm, roomId)) return res.status(403).json({ error: "Not authorized" });
+  const minutes = req.body.minutes === null ? null : parseInt(req.body.minutes, 10);
+  if (minutes !== null && (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ROOM_SANCTION_MINUTES)) {
+    return res.status(400).json({ error: "minutes must be between 0 and " + MAX_ROOM_SANCTION_MINUTES + ", or null" });
+  }
+  const reason = typeof req.body.reason === "string" ? req.body.reason.trim().slice(0, 200) : "";
+  if (target === req.uid) return res.status(400).json({ error: "You can't " + type + " yourself" });
+  try {
+    const { rows: userRows } = await pool.query("SELECT id FROM users WHERE id = $1", [target]);
+    if (!userRows.length) return res.status(404).json({ error: "User not found" });
+    if (minutes !== 0 && _can(await _getPermissions(target), perm, roomId)) {
+      return res.status(403).json({ error: "Moderators of this room can't be " + (type === "mute" ? "muted" : "kicked") });
+    }
+    const key = `${roomId}|${target}|${type}`;
+    let until = null;
+    if (minutes === 0) {
+      await pool.query("DELETE FROM room_sanctions WHERE room_id = $1 AND user_id = $2 AND type = $3", [roomId, target, type]);
+      _roomSanctions.delete(key);
+    } else {
+      const { rows } = await pool.query(
+        `INSERT INTO room_sanctions (room_id, user_id, type, until, reason, created_by)
+         VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(mins => $4::int) END, $5, $6)
+         ON CONFLICT (room_id, user_id, type) DO UPDATE
+           SET until = EXCLUDED.until, reason = EXCLUDED.reason, created_by = EXCLUDED.created_by, created_at = NOW()
+         RETURNING until`,
+        [roomId, target, type, minutes, reason, req.uid]
+      );
+      until = rows[0].until;
+      _roomSanctions.set(key, until ? new Date(until).getTime() : Infinity);
+    }
+    console.log(`[room-mod] ${req.uid} ${minutes === 0 ? "lifted " + type + " on" : type + "d"} ${target} in ${roomId}`);
+    // The follow survives the kick, but live updates stop until the next connection
+    if (type === "kick" && minutes !== 0) _unsubscribeSockets(target, roomId, true);
+    const event = { roomId, until, reason, lifted: minutes === 0 };
+    event.seq = await _recordEvent([target], type === "mute" ? "room_muted" : "room_kicked", event);
+    _emitToUsers([target], type === "mute" ? "room_muted" : "room_kicked", event);
+    res.json({ ok: true, until, lifted: minutes === 0 });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+}
+
+app.post("/api/rooms/:roomId/mute/:uid", authMiddleware, requirePermission("mute_users"), (req, res) => _setRoomSanction(req, res, "mute"));
+app.post("/api/rooms/:roomId/kick/:uid", authMiddleware, requirePermission("kick_users"), (req, res) => _setRoomSanction(req, res, "kick"));
+
+// ---- SEARCH (full-text over room messages and the caller's DMs) ----
+// ?q= search words (websearch syntax: "quoted phrase", -exclude, or)
+// ?scope=all|rooms|dms, ?room=, ?sender=, ?from=/?to= (ISO dates), ?limit=, ?cursor=
+// Results are newest first. `snippet` is HTML-escaped with matches wrapped in <mark>.
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+const SEARCH_HEADLINE_OPTS = "StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, MaxFragments=2";
+
+// Same membership rule as /api/dms/:chatId/messages: "uid1_uid2" containing the caller,
+// or a group the caller participates in
+function _dmMemberSql(chatCol, uidParam) {
+  return `((array_length(string_to_array(${chatCol}, '_'), 1) = 2 AND ${uidParam} = ANY(string_to_array(${chatCol}, '_')))
+    OR ${chatCol} IN (SELECT conversation_id FROM conversation_participants WHERE user_id = ${uidParam}))`;
+}
+
+app.get("/api/search", authMiddleware, async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (q.length < 2 || q.length > 200) return res.status(400).json({ error: "Search query must be 2-200 characters" });
+  const scope = req.query.scope || "all";
+  if (!["all", "rooms", "dms"].includes(scope)) return res.status(400).json({ error: "Invalid scope" });
+  const roomId = req.query.room || null;
+  if (roomId && !_canAccessRoom(req.uid, roomId, true)) return res.status(400).json({ error: "Invalid room" });
+  if (roomId && scope === "dms") return res.status(400).json({ error: "room can't be combined with scope=dms" });
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) return res.status(400).json({ error: "Invalid date" });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 1), SEARCH_MAX_PAGE_SIZE);
+  let cursor = null;
+  if (req.query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(req.query.cursor), "base64url").toString());
+      if (!Array.isArray(cursor) || cursor.length !== 3) throw new Error();
+    } catch (e) { return res.status(400).json({ error: "Invalid cursor" }); }
+  }
+
+  const params = [q];
+  const p = (v) => { params.push(v); return "$" + params.length; };
+  const filters = [];
+  if (req.query.sender) filters.push("m.user_id = " + p(String(req.query.sender)));
+  if (from) filters.push("m.created_at >= " + p(from));
+  if (to) filters.push("m.created_at <= " + p(to));
+  const match = "to_tsvector('simple', m.text) @@ websearch_to_tsquery('simple', $1)";
+
+  const me = p(req.uid);
+  // Tombstones, blocked senders and messages the caller deleted for themselves never show up
+  const hidden = (kind) => [
+    "m.deleted_at IS NULL",
+    `m.user_id NOT IN (SELECT blocked_uid FROM blocks WHERE blocker_uid = ${me})`,
+    `NOT EXISTS (SELECT 1 FROM hidden_messages h WHERE h.user_id = ${me} AND h.msg_kind = '${kind}' AND h.msg_id = m.id)`
+  ];
+  const branches = [];
+  if (scope !== "dms") {
+    const where = [match, ...filters, ...hidden("room")];
+    if (roomId) where.push("m.room_id = " + p(roomId));
+    const hiddenRooms = Array.from(_rooms.keys()).filter(r => !_canAccessRoom(req.uid, r, true));
+    if (!roomId && hiddenRooms.length) where.push("NOT (m.room_id = ANY(" + p(hiddenRooms) + "))");
+    branches.push(`SELECT 'room'::text AS kind, m.id, m.room_id, NULL::text AS chat_id, m.user_id, m.text, m.created_at
+      FROM messages m WHERE ${where.join(" AND ")}`);
+  }
+  if (scope !== "rooms" && !roomId) {
+    const where = [match, ...filters, _dmMemberSql("m.chat_id", me), ...hidden("dm")];
+    branches.push(`SELECT 'dm'::text AS kind, m.id, NULL::text AS room_id, m.chat_id, m.user_id, m.text, m.created_at
+      FROM dm_messages m WHERE ${where.join(" AND ")}`);
+  }
+  const after = cursor
+    ? `WHERE (r.created_at, r.kind, r.id) < (${p(cursor[0])}::timestamptz, ${p(cursor[1])}::text, ${p(cursor[2])}::int)`
+    : "";
+
+  try {
+    // Headlines are costly, so only build them for the rows on this page
+    const { rows } = await pool.query(
+      `SELECT r.kind, r.id, r.room_id, r.chat_id, r.user_id, r.created_at, r.created_at::text AS sort_ts,
+              ts_headline('simple',
+                replace(replace(replace(r.text, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                websearch_to_tsquery('simple', $1), '${SEARCH_HEADLINE_OPTS}') AS snippet
+       FROM (
+         SELECT * FROM (${branches.join(" UNION ALL ")}) r ${after}
+         ORDER BY r.created_at DESC, r.kind DESC, r.id DESC LIMIT ${limit + 1}
+       ) r
+       ORDER BY r.created_at DESC, r.kind DESC, r.id DESC`,
+      params
+    );
+    const results = rows.slice(0, limit);
+    const last = results[results.length - 1];
+    const nextCursor = rows.length > limit
+      ? Buffer.from(JSON.stringify([last.sort_ts, last.kind, last.id])).toString("base64url")
+      : null;
+    results.forEach(r => { delete r.sort_ts; });
+    const users = await _loadUserProfiles(new Set(results.map(r => r.user_id)));
+    res.json({ results, users, next_cursor: nextCursor });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- FRIENDS ----
+app.get("/api/friends", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT u.id, u.name, u.photo, u.premium, u.last_seen, u.theriotype
+       FROM friends f JOIN users u ON u.id = f.friend_id WHERE f.user_id = $1`,
+      [req.uid]
+    );
+    res.json(rows.map(r => ({ ...r, presence: _presenceOf(r.id) })));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- SEND FRIEND REQUEST ----
+app.post("/api/friends/:uid", authMiddleware, async (req, res) => {
+  const friendUid = req.params.uid;
+  if (!friendUid || friendUid === req.uid) return res.status(400).json({ error: "Invalid ID" });
+  try {
+    const { rows: userRows } = await pool.query("SELECT id, name FROM users WHERE id = $1", [friendUid]);
+    if (!userRows.length) return res.status(404).json({ error: "User not found" });
+    if (await _isBlockedBetween(req.uid, friendUid)) {
+      return res.status(403).json({ error: "Cannot send a friend request to this user" });
+    }
+    // Check if already friends
+    const { rows: existing } = await pool.query(
+      "SELECT 1 FROM friends WHERE user_id = $1 AND friend_id = $2", [req.uid, friendUid]
+    );
+    if (existing.length) return res.json({ ok: true, already: true });
+    // Check if request already exists
+    const { rows: existingReq } = await pool.query(
+      "SELECT id, status FROM friend_requests WHERE from_uid = $1 AND to_uid = $2", [req.uid, friendUid]
+    );
+    if (existingReq.length) {
+      if (existingReq[0].status === 'pending') return res.json({ ok: true, pending: true });
+      // If rejected, allow re-sending
+      await pool.query("UPDATE friend_requests SET status = 'pending', created_at = NOW() WHERE id = $1", [existingReq[0].id]);
+    } else {
+      // Check if THEY already sent US a request — auto-accept
+      const { rows: reverseReq } = await pool.query(
+        "SELECT id FROM friend_requests WHERE from_uid = $1 AND to_uid = $2 AND status = 'pending'", [friendUid, req.uid]
+      );
+      if (reverseReq.length) {
+        // Auto-accept: they requested us, we requested them
+        await pool.query("UPDATE friend_requests SET status = 'accepted' WHERE id = $1", [reverseReq[0].id]);
+        await pool.query(
+          `INSERT INTO friends (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [req.uid, friendUid]
+        );
+        await pool.query(
+          `INSERT INTO friends (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [friendUid, req.uid]
+        );
+        // Notify both via socket
+        const { rows: meRows } = await pool.query("SELECT name, photo FROM users WHERE id = $1", [req.uid]);
+        const toFriend = { uid: req.uid, name: meRows[0]?.name || "Therian" };
+        const toMe = { uid: friendUid, name: userRows[0].name };
+        toFriend.seq = await _recordEvent([friendUid], "friend_accepted", toFriend);
+        toMe.seq = await _recordEvent([req.uid], "friend_accepted", toMe);
+        for (const [socketId, u] of connectedUsers.entries()) {
+          if (u.uid === friendUid) {
+            io.to(socketId).emit("friend_accepted", toFriend);
+          }
+          if (u.uid === req.uid) {
+            io.to(socketId).emit("friend_accepted", toMe);
+          }
+        }
+        return res.json({ ok: true, accepted: true });
+      }
+      await pool.query(
+        `INSERT INTO friend_requests (from_uid, to_uid) VALUES ($1, $2)`, [req.uid, friendUid]
+      );
+    }
+    // Get sender info for notification
+    const { rows: senderRows } = await pool.query("SELECT name, photo FROM users WHERE id = $1", [req.uid]);
+    const senderName = senderRows[0]?.name || "Someone";
+    const senderPhoto = senderRows[0]?.photo || "";
+    // Notify recipient via socket
+    const request = { from: req.uid, name: senderName, photo: senderPhoto };
+    request.seq = await _recordEvent([friendUid], "friend_request", request);
+    for (const [socketId, u] of connectedUsers.entries()) {
+      if (u.uid === friendUid) {
+        io.to(socketId).emit("friend_request", request);
+      }
+    }
+    // Push notification for friend request
+    sendPushToUser(friendUid, "Nueva solicitud de amistad", senderName + " te envió una solicitud de amistad");
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- GET PENDING FRIEND REQUESTS ----
+app.get("/api/friend-requests", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT fr.id, fr.from_uid, fr.created_at, u.name, u.photo, u.theriotype
+       FROM friend_requests fr JOIN users u ON u.id = fr.from_uid
+       WHERE fr.to_uid = $1 AND fr.status = 'pending'
+       ORDER BY fr.created_at DESC`,
+      [req.uid]
+    );
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- ACCEPT FRIEND REQUEST ----
+app.post("/api/friend-requests/:id/accept", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT * FROM friend_requests WHERE id = $1 AND to_uid = $2 AND status = 'pending'",
+      [req.params.id, req.uid]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Request not found" });
+    const fr = rows[0];
+    await pool.query("UPDATE friend_requests SET status = 'accepted' WHERE id = $1", [fr.id]);
+    // Create friendship both ways
+    await pool.query(
+      `INSERT INTO friends (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [req.uid, fr.from_uid]
+    );
+    await pool.query(
+      `INSERT INTO friends (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [fr.from_uid, req.uid]
+    );
+    // Notify the sender via socket
+    const { rows: meRows } = await pool.query("SELECT name, photo FROM users WHERE id = $1", [req.uid]);
+    const accepted = { uid: req.uid, name: meRows[0]?.name || "Therian" };
+    accepted.seq = await _recordEvent([fr.from_uid], "friend_accepted", accepted);
+    for (const [socketId, u] of connectedUsers.entries()) {
+      if (u.uid === fr.from_uid) {
+        io.to(socketId).emit("friend_accepted", accepted);
+      }
+    }
+    // Award XP to both users for becoming friends
+    _awardXP(req.uid, 10, null);
+    _awardXP(fr.from_uid, 10, null);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- REJECT FRIEND REQUEST ----
+app.post("/api/friend-requests/:id/reject", authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE friend_requests SET status = 'rejected' WHERE id = $1 AND to_uid = $2 AND status = 'pending'",
+      [req.params.id, req.uid]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Request not found" });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================================
+// BLOCKS
+// ============================================================
+// A block is one-way in storage but cuts both ways for DMs, friend requests and
+// matchmaking. Room messages from a blocked user are hidden from the blocker only.
+// Each connected socket's user carries `blocked` (uids they blocked) so live room
+// broadcasts can skip them without a query.
+
+// Either user has blocked the other
+async function _isBlockedBetween(a, b) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM blocks WHERE (blocker_uid = $1 AND blocked_uid = $2) OR (blocker_uid = $2 AND blocked_uid = $1) LIMIT 1`,
+    [a, b]
+  );
+  return rows.length > 0;
+}
+
+async function _loadBlockedSet(uid) {
+  const { rows } = await pool.query("SELECT blocked_uid FROM blocks WHERE blocker_uid = $1", [uid]);
+  return new Set(rows.map(r => r.blocked_uid));
+}
+
+// Sockets whose user has blocked uid; room broadcasts from uid go .except() these
+function _socketsBlocking(uid) {
+  const ids = [];
+  for (const [socketId, u] of connectedUsers.entries()) {
+    if (u.blocked && u.blocked.has(uid)) ids.push(socketId);
+  }
+  return ids;
+}
+
+app.get("/api/blocks", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT b.blocked_uid AS uid, b.created_at, u.name, u.photo
+       FROM blocks b JOIN users u ON u.id = b.blocked_uid
+       WHERE b.blocker_uid = $1 ORDER BY b.created_at DESC`,
+      [req.uid]
+    );
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post("/api/blocks/:uid", authMiddleware, async (req, res) => {
+  const target = req.params.uid;
+  if (!target || target === req.uid) return res.status(400).json({ error: "Invalid ID" });
+  try {
+    const { rows: userRows } = await pool.query("SELECT id FROM users WHERE id = $1", [target]);
+    if (!userRows.length) return res.status(404).json({ error: "User not found" });
+    await pool.query(
+      "INSERT INTO blocks (blocker_uid, blocked_uid) VALUES ($1, $2) ON CONFLICT DO NOTHING", [req.uid, target]
+    );
+    // Blocking ends the friendship and any pending request either way
+    await pool.query(
+      "DELETE FROM friends WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)", [req.uid, target]
+    );
+    await pool.query(
+      `DELETE FROM friend_requests WHERE status = 'pending'
+       AND ((from_uid = $1 AND to_uid = $2) OR (from_uid = $2 AND to_uid = $1))`,
+      [req.uid, target]
+    );
+    for (const u of connectedUsers.values()) {
+      if (u.uid === req.uid) { u.blocked = u.blocked || new Set(); u.blocked.add(target); }
+    }
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete("/api/blocks/:uid", authMiddleware, async (req, res) => {
+  try {
+    await pool.query("DELETE FROM blocks WHERE blocker_uid = $1 AND blocked_uid = $2", [req.uid, req.params.uid]);
+    for (const u of connectedUsers.values()) {
+      if (u.uid === req.uid && u.blocked) u.blocked.delete(req.params.uid);
+    }
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- LOOKUP USER BY ID (requires auth) ----
+app.get("/api/users/lookup/:uid", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT id, name, photo, last_seen, desc_text, theriotype FROM users WHERE id = $1", [req.params.uid]
+    );
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+    const user = rows[0];
+    user.desc = user.desc_text || "";
+    res.json(user);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- PUSH NOTIFICATION ENDPOINTS ----
+app.post("/api/push/subscribe", authMiddleware, async (req, res) => {
+  const sub = req.body;
+  console.log('Push subscribe: user', req.uid, 'endpoint:', sub && sub.endpoint ? sub.endpoint.substring(0, 60) + '...' : 'MISSING');
+  if (!sub || !sub.endpoint || !sub.keys || !sub.keys.p256dh || !sub.keys.auth) {
+    console.log('Push subscribe: INVALID subscription body from user', req.uid);
+    return res.status(400).json({ error: "Invalid subscription" });
+  }
+  try {
+    await pool.query(
+      `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO UPDATE SET endpoint = $2, p256dh = $3, auth = $4, created_at = NOW()`,
+      [req.uid, sub.endpoint, sub.keys.p256dh, sub.keys.auth]
+    );
+    console.log('Push subscribe: SAVED OK for user', req.uid);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Push subscribe: DB error for user', req.uid, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/push/public-key", (req, res) => {
+  res.json({ publicKey: VAPID_PUBLIC_KEY, configured: vapidConfigured });
+});
+
+// ---- UNREAD DMS (for checking on login) ----
+app.get("/api/dms/unread", authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT DISTINCT m.chat_id, m.user_id AS from_uid
+       FROM direct_chats d JOIN dm_messages m ON m.chat_id = d.chat_id
+       WHERE d.user_id = $1 AND m.user_id != $1 AND m.read_at IS NULL
+         AND d.chat_id NOT IN (SELECT chat_id FROM dm_requests WHERE to_uid = $1 AND status != 'accepted')
+       UNION
+       SELECT DISTINCT m.chat_id, m.user_id AS from_uid
+       FROM conversation_participants cp JOIN dm_messages m ON m.chat_id = cp.conversation_id
+       WHERE cp.user_id = $1 AND m.user_id != $1 AND m.id > cp.last_read_id`,
+      [req.uid]
+    );
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- MARK DM MESSAGES AS READ ----
+app.post("/api/dms/:chatId/read", authMiddleware, async (req, res) => {
+  const chatId = req.params.chatId;
+  try {
+    const members = await _dmMembers(chatId);
+    if (!members || !members.includes(req.uid)) return res.status(403).json({ error: "Access denied" });
+    // Notifies the other member(s) that their messages were read
+    const count = await _markDmRead(chatId, req.uid, members);
+    res.json({ ok: true, count });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- CREATE REPORT ----
+app.post("/api/reports", authMiddleware, async (req, res) => {
+  const { msgId, msgText, reportedUid, reportedName } = req.body;
+  if (!msgText && !reportedUid) return res.status(400).json({ error: "Invalid report data" });
+  try {
+    // Room reports reach that room's moderators, so the room comes from the message
+    // itself, never from the client; DM and profile reports carry none
+    let roomId = "";
+    if (req.body.roomId && msgId) {
+      const { rows } = await pool.query("SELECT room_id FROM messages WHERE id = $1", [_parseMsgId(msgId)]);
+      if (rows.length) roomId = rows[0].room_id;
+    }
+    await pool.query(
+      `INSERT INTO reports (msg_id, msg_text, reported_uid, reported_name, reporter_uid, room_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [msgId || null, msgText || "", reportedUid || "", reportedName || "", req.uid, roomId]
+    );
+    // Send email notification to admin
+    sendReportEmail({
+      reported_name: reportedName,
+      reported_uid: reportedUid,
+      room_id: roomId,
+      msg_text: msgText,
+      reporter_uid: req.uid
+    });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- ADMIN: GET REPORTS (paginated) ----
+// Room moderators only see reports filed in the rooms they moderate
+app.get("/api/admin/reports", authMiddleware, requirePermission("resolve_reports"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const status = req.query.status || "pending";
+    const limit = 20;
+    const offset = (page - 1) * limit;
+    const resolved = status === "resolved";
+    const scope = req.perms.global.has("resolve_reports") ? null : _roomsWith(req.perms, "resolve_reports");
+
+    const { rows } = await pool.query(
+      `SELECT r.*, u.photo AS reported_photo
+       FROM reports r LEFT JOIN users u ON u.id = r.reported_uid
+       WHERE r.resolved = $1 AND ($4::text[] IS NULL OR r.room_id = ANY($4))
+       ORDER BY r.created_at DESC LIMIT $2 OFFSET $3`,
+      [resolved, limit, offset, scope]
+    );
+
+    const countResult = await pool.query(
+      "SELECT COUNT(*) FROM reports WHERE resolved = $1 AND ($2::text[] IS NULL OR room_id = ANY($2))", [resolved, scope]
+    );
+    const total = countResult.rows[0] ? parseInt(countResult.rows[0].count) : 0;
+
+    res.json({ reports: rows, total, page, pages: Math.ceil(total / limit) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- ADMIN: COUNT PENDING REPORTS ----
+app.get("/api/admin/reports/count", authMiddleware, requirePermission("resolve_reports"), async (req, res) => {
+  try {
+    const scope = req.perms.global.has("resolve_reports") ? null : _roomsWith(req.perms, "resolve_reports");
+    const { rows } = await pool.query(
+      "SELECT COUNT(*) FROM reports WHERE resolved = FALSE AND ($1::text[] IS NULL OR room_id = ANY($1))", [scope]
+    );
+    res.json({ pending: rows[0] ? parseInt(rows[0].count) : 0 });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ---- ADMIN: RESOLVE/DISMISS REPORT ----
+app.patch("/api/admin/reports/:id", authMiddleware, requirePermission("resolve_reports"), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT room_id FROM reports WHERE id = $1", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: "Report not found" });
+    if (!_can(req.perms, "resolve_reports", rows[0].room_id)) return res.status(403).json({ error: "Not authorized" });
+    await pool.query("UPDATE reports SET resolved = TRUE WHERE id = $1", [req.params.id]);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================================
+// ADMIN: BAN / UNBAN / MUTE / DELETE MESSAGE
+// ============================================================
+
+app.post("/api/admin/ban/:uid", authMiddleware, requirePermission("ban_users"), async (req, res) => {
+  try {
+    const target = await _getPermissions(req.params.uid);
+    if (_roleRank(target) >= _roleRank(req.perms)) return res.status(403).json({ error: "You can only ban users ranked below you" });
+    await pool.query("UPDATE users SET is_banned = TRUE WHERE id = $1", [req.params.uid]);
+    connectedUsers.forEach((u, socketId) => {
+      if (u.uid === req.params.uid) io.to(socketId).emit("banned");
+    });
+    // Kill every device at once; stolen refresh tokens die with them
+    const revoked = await _revokeSessions(req.params.uid);
+    res.json({ ok: true, sessions_revoked: revoked });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get("/api/admin/banned", authMiddleware, requirePermission("ban_users"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT id, name, photo, email FROM users WHERE is_banned = TRUE ORDER BY name"
+    );
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post("/api/admin/unban/:uid", authMiddleware, requirePermission("ban_users"), async (req, res) => {
+  try {
+    await pool.query("UPDATE users SET is_banned = FALSE WHERE id = $1", [req.params.uid]);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Global mute (same muted_until the toxicity counter uses). minutes = 0 lifts the mute.
+app.post("/api/admin/mute/:uid", authMiddleware, requirePermission("mute_users"), async (req, res) => {
+  if (!req.perms.global.has("mute_users")) return res.status(403).json({ error: "Not authorized" });
+  const minutes = parseInt(req.body.minutes, 10);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 60 * 24 * 30) {
+    return res.status(400).json({ error: "minutes must be between 0 and 43200" });
+  }
+  try {
+    const { rows } = await pool.query(
+      `UPDATE users SET muted_until = CASE WHEN $2 = 0 THEN NULL ELSE NOW() + make_interval(mins => $2) END
+       WHERE id = $1 RETURNING muted_until`,
+      [req.params.uid, minutes]
+    );
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+    res.json({ ok: true, muted_until: rows[0].muted_until });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete("/api/admin/messages/:msgId", authMiddleware, requirePermission("delete_messages"), async (req, res) => {
+  try {
+    if (!_parseMsgId(req.params.msgId)) return res.status(400).json({ error: "Invalid message id" });
+    const { rows: found } = await pool.query("SELECT room_id FROM messages WHERE id = $1", [req.params.msgId]);
+    if (!found.length) return res.json({ ok: true });
+    if (!_can(req.perms, "delete_messages", found[0].room_id)) return res.status(403).json({ error: "Not authorized" });
+    await _tombstoneMessage("room", Number(req.params.msgId));
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================================
+// ADMIN: ROOM CATALOG
+// ============================================================
+const ROOM_SLUG_RE = /^[a-z0-9_]{2,40}$/;
+const ROOM_WORLD_RE = /^[a-z0-9_]{1,30}$/;
+
+// Known per-room settings; anything else is rejected so typos don't silently no-op
+function _validateRoomSettings(settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) return "settings must be an object";
+  const unknown = Object.keys(settings).filter(k => !["icebreakers", "retention_hours", "slow_mode_secs", "post_mode"].includes(k));
+  if (unknown.length) return "Unknown setting: " + unknown[0];
+  const { icebreakers, retention_hours: hours } = settings;
+  if (icebreakers !== undefined &&
+    (!Array.isArray(icebreakers) || icebreakers.length > 50 || icebreakers.some(q => typeof q !== "string" || !q.trim() || q.length > 200))) {
+    return "icebreakers must be up to 50 questions of at most 200 characters";
+  }
+  if (hours !== undefined && hours !== null && !(Number.isInteger(hours) && hours > 0 && hours <= 24 * 3650)) {
+    return "retention_hours must be a positive number of hours or null (keep forever)";
+  }
+  const slow = settings.slow_mode_secs;
+  if (slow !== undefined && !(Number.isInteger(slow) && slow >= 0 && slow <= MAX_SLOW_MODE_SECS)) {
+    return "slow_mode_secs must be between 0 and " + MAX_SLOW_MODE_SECS;
+  }
+  if (settings.post_mode !== undefined && !ROOM_POST_MODES.includes(settings.post_mode)) {
+    return "post_mode must be one of " + ROOM_POST_MODES.join(", ");
+  }
+  return null;
+}
+
+// Returns { fields } with only the columns present in body, or { error }
+function _roomFields(body) {
+  const fields = {};
+  if (body.world !== undefined) {
+    if (typeof body.world !== "string" || !ROOM_WORLD_RE.test(body.world)) return { error: "Invalid world" };
+    fields.world = body.world;
+  }
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim() || body.name.length > 60) return { error: "name must be 1-60 characters" };
+    fields.name = body.name.trim();
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== "string" || body.description.length > 300) return { error: "description too long (max 300)" };
+    fields.description = body.description;
+  }
+  if (body.icon !== undefined) {
+    if (typeof body.icon !== "string" || body.icon.length > 16) return { error: "Invalid icon" };
+    fields.icon = body.icon;
+  }
+  if (body.sort_order !== undefined) {
+    if (!Number.isInteger(body.sort_order)) return { error: "sort_order must be an integer" };
+    fields.sort_order = body.sort_order;
+  }
+  if (body.archived !== undefined) {
+    if (typeof body.archived !== "boolean") return { error: "archived must be a boolean" };
+    fields.archived = body.archived;
+  }
+  if (body.settings !== undefined) {
+    const err = _validateRoomSettings(body.settings);
+    if (err) return { error: err };
+    fields.settings = body.settings;
+  }
+  return { fields };
+}
 
-      // Update read_at in the returned rows for consistency
-      rows.forEach(r => {
-        if (r.user_id !== req.uid && !r.read_at) r.read_at = new Date();
-      });
-    }
+async function _roomCatalogChanged(slug, archived) {
+  await _loadRoomCatalog();
+  if (archived) io.to("room_" + slug).emit("room_archived", { roomId: slug });
+  io.emit("rooms_updated");
+}
 
+app.get("/api/admin/rooms", authMiddleware, requirePermission("manage_rooms"), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM rooms ORDER BY sort_order, slug");
     res.json(rows);
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- FRIENDS ----
-app.get("/api/friends", authMiddleware, async (req, res) => {
+app.post("/api/admin/rooms", authMiddleware, requirePermission("manage_rooms"), async (req, res) => {
+  const slug = req.body.slug;
+  if (typeof slug !== "string" || !ROOM_SLUG_RE.test(slug)) {
+    return res.status(400).json({ error: "slug must be 2-40 lowercase letters, digits or underscores" });
+  }
+  const { fields, error } = _roomFields(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!fields.world || !fields.name) return res.status(400).json({ error: "world and name are required" });
   try {
     const { rows } = await pool.query(
-      `SELECT u.id, u.name, u.photo, u.premium, u.last_seen, u.theriotype
-       FROM friends f JOIN users u ON u.id = f.friend_id WHERE f.user_id = $1`,
-      [req.uid]
+      `INSERT INTO rooms (slug, world, name, description, icon, sort_order, settings)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM rooms)), $7)
+       ON CONFLICT (slug) DO NOTHING RETURNING *`,
+      [slug, fields.world, fields.name, fields.description || "", fields.icon || "", fields.sort_order ?? null, fields.settings || {}]
     );
-    res.json(rows);
+    if (!rows.length) return res.status(409).json({ error: "A room with that slug already exists" });
+    console.log(`[rooms] ${req.uid} created ${slug}`);
+    await _roomCatalogChanged(slug, false);
+    res.json({ ok: true, room: rows[0] });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- SEND FRIEND REQUEST ----
-app.post("/api/friends/:uid", authMiddleware, async (req, res) => {
-  const friendUid = req.params.uid;
-  if (!friendUid || friendUid === req.uid) return res.status(400).json({ error: "Invalid ID" });
+// settings are merged key by key; archived: false restores an archived room
+app.patch("/api/admin/rooms/:slug", authMiddleware, requirePermission("manage_rooms"), async (req, res) => {
+  const { fields, error } = _roomFields(req.body);
+  if (error) return res.status(400).json({ error });
+  const columns = Object.keys(fields);
+  if (!columns.length) return res.status(400).json({ error: "No changes" });
+  const values = [req.params.slug];
+  const sets = columns.map(col => {
+    values.push(fields[col]);
+    return col === "settings" ? `settings = settings || $${values.length}::jsonb` : `${col} = $${values.length}`;
+  });
   try {
-    const { rows: userRows } = await pool.query("SELECT id, name FROM users WHERE id = $1", [friendUid]);
-    if (!userRows.length) return res.status(404).json({ error: "User not found" });
-    // Check if already friends
-    const { rows: existing } = await pool.query(
-      "SELECT 1 FROM friends WHERE user_id = $1 AND friend_id = $2", [req.uid, friendUid]
+    const { rows } = await pool.query(
+      `UPDATE rooms SET ${sets.join(", ")}, updated_at = NOW() WHERE slug = $1 RETURNING *`, values
     );
-    if (existing.length) return res.json({ ok: true, already: true });
-    // Check if request already exists
-    const { rows: existingReq } = await pool.query(
-      "SELECT id, status FROM friend_requests WHERE from_uid = $1 AND to_uid = $2", [req.uid, friendUid]
+    if (!rows.length) return res.status(404).json({ error: "Room not found" });
+    console.log(`[rooms] ${req.uid} updated ${req.params.slug}: ${columns.join(", ")}`);
+    await _roomCatalogChanged(req.params.slug, fields.archived === true);
+    res.json({ ok: true, room: rows[0] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Rooms are archived rather than deleted so their history and roles stay intact
+app.delete("/api/admin/rooms/:slug", authMiddleware, requirePermission("manage_rooms"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "UPDATE rooms SET archived = TRUE, updated_at = NOW() WHERE slug = $1 RETURNING slug", [req.params.slug]
     );
-    if (existingReq.length) {
-      if (existingReq[0].status === 'pending') return res.json({ ok: true, pending: true });
-      // If rejected, allow re-sending
-      await pool.query("UPDATE friend_requests SET status = 'pending', created_at = NOW() WHERE id = $1", [existingReq[0].id]);
-    } else {
-      // Check if THEY already sent US a request — auto-accept
-      const { rows: reverseReq } = await pool.query(
-        "SELECT id FROM friend_requests WHERE from_uid = $1 AND to_uid = $2 AND status = 'pending'", [friendUid, req.uid]
-      );
-      if (reverseReq.length) {
-        // Auto-accept: they requested us, we requested them
-        await pool.query("UPDATE friend_requests SET status = 'accepted' WHERE id = $1", [reverseReq[0].id]);
-        await pool.query(
-          `INSERT INTO friends (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [req.uid, friendUid]
-        );
-        await pool.query(
-          `INSERT INTO friends (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [friendUid, req.uid]
-        );
-        // Notify both via socket
-        const { rows: meRows } = await pool.query("SELECT name, photo FROM users WHERE id = $1", [req.uid]);
-        for (const [socketId, u] of connectedUsers.entries()) {
-          if (u.uid === friendUid) {
-            io.to(socketId).emit("friend_accepted", { uid: req.uid, name: meRows[0]?.name || "Therian" });
-          }
-          if (u.uid === req.uid) {
-            io.to(socketId).emit("friend_accepted", { uid: friendUid, name: userRows[0].name });
-          }
-        }
-        return res.json({ ok: true, accepted: true });
-      }
-      await pool.query(
-        `INSERT INTO friend_requests (from_uid, to_uid) VALUES ($1, $2)`, [req.uid, friendUid]
-      );
-    }
-    // Get sender info for notification
-    const { rows: senderRows } = await pool.query("SELECT name, photo FROM users WHERE id = $1", [req.uid]);
-    const senderName = senderRows[0]?.name || "Someone";
-    const senderPhoto = senderRows[0]?.photo || "";
-    // Notify recipient via socket
-    for (const [socketId, u] of connectedUsers.entries()) {
-      if (u.uid === friendUid) {
-        io.to(socketId).emit("friend_request", { from: req.uid, name: senderName, photo: senderPhoto });
-      }
-    }
-    // Push notification for friend request
-    sendPushToUser(friendUid, "Nueva solicitud de amistad", senderName + " te envió una solicitud de amistad");
+    if (!rows.length) return res.status(404).json({ error: "Room not found" });
+    console.log(`[rooms] ${req.uid} archived ${req.params.slug}`);
+    await _roomCatalogChanged(req.params.slug, true);
     res.json({ ok: true });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- GET PENDING FRIEND REQUESTS ----
-app.get("/api/friend-requests", authMiddleware, async (req, res) => {
+// ============================================================
+// ADMIN: ROLES (owners only)
+// ============================================================
+
+app.get("/api/admin/roles", authMiddleware, requirePermission("manage_roles"), async (req, res) => {
   try {
     const { rows } = await pool.query(
-      `SELECT fr.id, fr.from_uid, fr.created_at, u.name, u.photo, u.theriotype
-       FROM friend_requests fr JOIN users u ON u.id = fr.from_uid
-       WHERE fr.to_uid = $1 AND fr.status = 'pending'
-       ORDER BY fr.created_at DESC`,
-      [req.uid]
+      `SELECT r.id, r.user_id, r.role, r.room_id, r.granted_by, r.created_at, u.name, u.photo
+       FROM user_roles r JOIN users u ON u.id = r.user_id
+       ORDER BY r.role, u.name`
     );
     res.json(rows);
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- ACCEPT FRIEND REQUEST ----
-app.post("/api/friend-requests/:id/accept", authMiddleware, async (req, res) => {
+app.post("/api/admin/roles", authMiddleware, requirePermission("manage_roles"), async (req, res) => {
+  const { uid, role } = req.body;
+  const roomId = req.body.roomId || "";
+  if (!uid || !ROLE_PERMISSIONS[role]) return res.status(400).json({ error: "Invalid role" });
+  if (ROOM_SCOPED_ROLES.includes(role) !== !!roomId) {
+    return res.status(400).json({ error: ROOM_SCOPED_ROLES.includes(role) ? "roomId required for this role" : "This role cannot be room-scoped" });
+  }
+  if (roomId && !_isValidRoom(roomId, true)) return res.status(400).json({ error: "Invalid room" });
   try {
+    const { rows: userRows } = await pool.query("SELECT id FROM users WHERE id = $1", [uid]);
+    if (!userRows.length) return res.status(404).json({ error: "User not found" });
     const { rows } = await pool.query(
-      "SELECT * FROM friend_requests WHERE id = $1 AND to_uid = $2 AND status = 'pending'",
-      [req.params.id, req.uid]
-    );
-    if (!rows.length) return res.status(404).json({ error: "Request not found" });
-    const fr = rows[0];
-    await pool.query("UPDATE friend_requests SET status = 'accepted' WHERE id = $1", [fr.id]);
-    // Create friendship both ways
-    await pool.query(
-      `INSERT INTO friends (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [req.uid, fr.from_uid]
-    );
-    await pool.query(
-      `INSERT INTO friends (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [fr.from_uid, req.uid]
+      `INSERT INTO user_roles (user_id, role, room_id, granted_by) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, role, room_id) DO NOTHING RETURNING *`,
+      [uid, role, roomId, req.uid]
     );
-    // Notify the sender via socket
-    const { rows: meRows } = await pool.query("SELECT name, photo FROM users WHERE id = $1", [req.uid]);
-    for (const [socketId, u] of connectedUsers.entries()) {
-      if (u.uid === fr.from_uid) {
-        io.to(socketId).emit("friend_accepted", { uid: req.uid, name: meRows[0]?.name || "Therian" });
-      }
-    }
-    // Award XP to both users for becoming friends
-    _awardXP(req.uid, 10, null);
-    _awardXP(fr.from_uid, 10, null);
-    res.json({ ok: true });
+    console.log(`[roles] ${req.uid} granted ${role}${roomId ? " in " + roomId : ""} to ${uid}`);
+    res.json({ ok: true, role: rows[0] || null, already: !rows.length });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- REJECT FRIEND REQUEST ----
-app.post("/api/friend-requests/:id/reject", authMiddleware, async (req, res) => {
+app.delete("/api/admin/roles/:id", authMiddleware, requirePermission("manage_roles"), async (req, res) => {
   try {
-    const result = await pool.query(
-      "UPDATE friend_requests SET status = 'rejected' WHERE id = $1 AND to_uid = $2 AND status = 'pending'",
-      [req.params.id, req.uid]
-    );
-    if (!result.rowCount) return res.status(404).json({ error: "Request not found" });
+    const { rows } = await pool.query("SELECT user_id, role FROM user_roles WHERE id = $1", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: "Role not found" });
+    if (rows[0].role === "owner") {
+      const owners = await pool.query("SELECT COUNT(*) FROM user_roles WHERE role = 'owner'");
+      if (parseInt(owners.rows[0].count) <= 1) return res.status(400).json({ error: "Cannot revoke the last owner" });
+    }
+    await pool.query("DELETE FROM user_roles WHERE id = $1", [req.params.id]);
+    console.log(`[roles] ${req.uid} revoked ${rows[0].role} from ${rows[0].user_id}`);
     res.json({ ok: true });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- LOOKUP USER BY ID (requires auth) ----
-app.get("/api/users/lookup/:uid", authMiddleware, async (req, res) => {
+// ---- DELETE MESSAGES ----
+// ?scope=everyone (default): the sender, within DELETE_FOR_EVERYONE_WINDOW_MIN, blanks the
+// message for all. The row stays behind as a tombstone (text '', deleted_at set) so
+// replies and threads built on reply_to keep their parent.
+// ?scope=me: hides any message the caller can see, for the caller only.
+// Room and DM message ids overlap, so DM deletes must pass ?kind=dm. Without kind the id
+// is taken as a room message, which is all this route handled before DMs could be deleted.
+const DELETE_FOR_EVERYONE_WINDOW_MIN = 60;
+
+async function _tombstoneMessage(kind, id) {
+  const src = HISTORY_SOURCES[kind];
+  const { rows } = await pool.query(
+    `UPDATE ${src.table} SET text = '', deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL
+     RETURNING ${src.scope} AS scope_id`,
+    [id]
+  );
+  if (!rows.length) return false;
+  await _dropMessageExtras(kind, [id]);
+  if (kind === "room") {
+    await pool.query("DELETE FROM mentions WHERE msg_id = $1", [id]);
+    await pool.query("DELETE FROM room_pins WHERE msg_id = $1", [id]);
+  }
+  const channel = src.channel + rows[0].scope_id;
+  io.to(channel).emit("message_deleted", id);
+  await _recordEvent(channel, "message_deleted", { id, [src.scope]: rows[0].scope_id, tombstone: true });
+  return true;
+}
+
+// ?scope=me|everyone (default everyone) and ?kind=room|dm (default room)
+app.delete("/api/messages/:msgId", authMiddleware, async (req, res) => {
+  const id = _parseMsgId(req.params.msgId);
+  if (!id) return res.status(400).json({ error: "Invalid message id" });
+  const scope = req.query.scope === "me" ? "me" : "everyone";
+  const kind = req.query.kind === undefined ? "room" : req.query.kind;
+  if (!HISTORY_SOURCES[kind]) return res.status(400).json({ error: "kind must be room or dm" });
+  const src = HISTORY_SOURCES[kind];
   try {
     const { rows } = await pool.query(
-      "SELECT id, name, photo, last_seen, desc_text, theriotype FROM users WHERE id = $1", [req.params.uid]
+      `SELECT user_id, ${src.scope} AS scope_id, deleted_at,
+              created_at > NOW() - make_interval(mins => $2) AS deletable
+       FROM ${src.table} WHERE id = $1`,
+      [id, DELETE_FOR_EVERYONE_WINDOW_MIN]
     );
-    if (!rows.length) return res.status(404).json({ error: "User not found" });
-    const user = rows[0];
-    user.desc = user.desc_text || "";
-    res.json(user);
+    const msg = rows[0];
+    if (!msg || !(await _canReadScope(kind, msg.scope_id, req.uid))) return res.status(404).json({ error: "Message not found" });
+    if (scope === "me") {
+      await pool.query(
+        "INSERT INTO hidden_messages (user_id, msg_kind, msg_id) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING", [req.uid, kind, id]
+      );
+      return res.json({ ok: true, scope });
+    }
+    if (msg.user_id !== req.uid) return res.status(403).json({ error: "You can only delete your own messages for everyone" });
+    if (msg.deleted_at) return res.json({ ok: true, scope });
+    if (!msg.deletable) {
+      return res.status(403).json({ error: "Messages can only be deleted for everyone within " + DELETE_FOR_EVERYONE_WINDOW_MIN + " minutes" });
+    }
+    await _tombstoneMessage(kind, id);
+    res.json({ ok: true, scope });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- PUSH NOTIFICATION ENDPOINTS ----
-app.post("/api/push/subscribe", authMiddleware, async (req, res) => {
-  const sub = req.body;
-  console.log('Push subscribe: user', req.uid, 'endpoint:', sub && sub.endpoint ? sub.endpoint.substring(0, 60) + '...' : 'MISSING');
-  if (!sub || !sub.endpoint || !sub.keys || !sub.keys.p256dh || !sub.keys.auth) {
-    console.log('Push subscribe: INVALID subscription body from user', req.uid);
-    return res.status(400).json({ error: "Invalid subscription" });
+// ============================================================
+// MESSAGE EDITING
+// ============================================================
+const MESSAGE_EDIT_WINDOW_MIN = 15;
+
+// Edit one of the caller's own messages. `kind` is "room" (default) or "dm"; room and DM
+// message ids overlap, so DM edits must say so.
+// Returns { channel, message } or { error, status, blocked? }.
+async function _editMessage(uid, msgId, text, kind) {
+  const id = _parseMsgId(msgId);
+  if (!id) return { error: "Invalid message id", status: 400 };
+  if (!text || typeof text !== "string" || !text.trim() || text.length > 500) return { error: "Invalid text", status: 400 };
+  if (kind === undefined) kind = "room";
+  if (!HISTORY_SOURCES[kind]) return { error: "kind must be room or dm", status: 400 };
+  const trimmed = text.trim();
+
+  const src = HISTORY_SOURCES[kind];
+  const { rows } = await pool.query(
+    `SELECT ${src.scope} AS scope_id, text, created_at > NOW() - make_interval(mins => $3) AS editable
+     FROM ${src.table} WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+    [id, uid, MESSAGE_EDIT_WINDOW_MIN]
+  );
+  if (!rows.length) return { error: "Message not found", status: 404 };
+  const original = rows[0];
+  // Same gate as sending: authors who left, lost access or were kicked can't edit either
+  if (kind === "room") {
+    if (!_canAccessRoom(uid, original.scope_id)) return { error: "Message not found", status: 404 };
+    const kicked = _roomSanctionUntil(original.scope_id, uid, "kick");
+    if (kicked) return { error: "🚫 You were removed from this room " + _describeUntil(kicked) + ".", status: 403, blocked: true };
+  } else if (!(await _canReadScope("dm", original.scope_id, uid))) {
+    return { error: "Message not found", status: 404 };
   }
+  if (!original.editable) {
+    return { error: "Messages can only be edited within " + MESSAGE_EDIT_WINDOW_MIN + " minutes", status: 403 };
+  }
+  if (await _isUserMuted(uid)) return { error: "⏳ You are temporarily muted. Try again later.", status: 403, blocked: true };
+  const modResult = checkModeration(trimmed, uid);
+  if (modResult.blocked) {
+    _incrementToxicity(uid);
+    return { error: modResult.reason, status: 422, blocked: true };
+  }
+
+  const client = await pool.connect();
+  let updated;
   try {
-    await pool.query(
-      `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth)
-       VALUES ($1, $2, $3, $4)
-       ON CONFLICT (user_id) DO UPDATE SET endpoint = $2, p256dh = $3, auth = $4, created_at = NOW()`,
-      [req.uid, sub.endpoint, sub.keys.p256dh, sub.keys.auth]
+    await client.query("BEGIN");
+    await client.query(
+      `INSERT INTO message_edits (msg_kind, msg_id, old_text, edited_by) VALUES ($1, $2, $3, $4)`,
+      [kind, id, original.text, uid]
     );
-    console.log('Push subscribe: SAVED OK for user', req.uid);
-    res.json({ ok: true });
-  } catch (err) {
-    console.error('Push subscribe: DB error for user', req.uid, err.message);
-    res.status(500).json({ error: err.message });
+    const result = await client.query(
+      `UPDATE ${src.table} SET text = $2, edited_at = NOW() WHERE id = $1 RETURNING id, text, edited_at`,
+      [id, trimmed]
+    );
+    updated = result.rows[0];
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => { });
+    throw e;
+  } finally {
+    client.release();
   }
-});
+  const message = { id, kind, [src.scope]: original.scope_id, text: updated.text, edited_at: updated.edited_at };
+  return { channel: src.channel + original.scope_id, message };
+}
 
-app.get("/api/push/public-key", (req, res) => {
-  res.json({ publicKey: VAPID_PUBLIC_KEY, configured: vapidConfigured });
+app.patch("/api/messages/:msgId", authMiddleware, async (req, res) => {
+  try {
+    const result = await _editMessage(req.uid, req.params.msgId, req.body.text, req.body.kind);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    result.message.seq = await _recordEvent(result.channel, "message_edited", result.message);
+    io.to(result.channel).except(_socketsBlocking(req.uid)).emit("message_edited", result.message);
+    res.json({ ok: true, message: result.message });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- UNREAD DMS (for checking on login) ----
-app.get("/api/dms/unread", authMiddleware, async (req, res) => {
+// ---- MODERATION: previous versions of an edited message ----
+app.get("/api/admin/messages/:msgId/edits", authMiddleware, requirePermission("delete_messages"), async (req, res) => {
+  const kind = req.query.kind === "dm" ? "dm" : "room";
+  const id = _parseMsgId(req.params.msgId);
+  if (!id) return res.status(400).json({ error: "Invalid message id" });
   try {
-    const safeUid = req.uid.replace(/_/g, '\\_');
+    if (kind === "room") {
+      const { rows } = await pool.query("SELECT room_id FROM messages WHERE id = $1", [id]);
+      if (rows.length && !_can(req.perms, "delete_messages", rows[0].room_id)) return res.status(403).json({ error: "Not authorized" });
+    } else if (!req.perms.global.has("delete_messages")) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
     const { rows } = await pool.query(
-      `SELECT DISTINCT chat_id, user_id AS from_uid
-       FROM dm_messages
-       WHERE (chat_id LIKE $1 ESCAPE '\\' OR chat_id LIKE $3 ESCAPE '\\')
-         AND user_id != $2 AND read_at IS NULL`,
-      [safeUid + '\\_%', req.uid, '%\\_' + safeUid]
+      `SELECT id, old_text, edited_by, edited_at FROM message_edits
+       WHERE msg_kind = $1 AND msg_id = $2 ORDER BY edited_at`,
+      [kind, id]
     );
     res.json(rows);
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- MARK DM MESSAGES AS READ ----
-app.post("/api/dms/:chatId/read", authMiddleware, async (req, res) => {
-  const chatId = req.params.chatId;
-  const uids = chatId.split("_");
-  if (uids.length !== 2 || !uids.includes(req.uid)) return res.status(403).json({ error: "Access denied" });
-  try {
-    const result = await pool.query(
-      `UPDATE dm_messages SET read_at = NOW()
-       WHERE chat_id = $1 AND user_id != $2 AND read_at IS NULL`,
-      [chatId, req.uid]
+// ============================================================
+// REACTIONS
+// ============================================================
+const REACTION_XP = 1;           // Counts toward DAILY_XP_CAP like messages; 0 disables
+const MAX_REACTION_LENGTH = 16;  // Enough for ZWJ sequences and skin tones
+
+// In-memory flood guard (reactions skip checkModeration so they don't eat the message budget)
+const _userReactionTimestamps = new Map(); // uid → [timestamp, ...]
+
+function _isValidReaction(emoji) {
+  return typeof emoji === "string" && emoji.length > 0 && emoji.length <= MAX_REACTION_LENGTH &&
+    !/\s/.test(emoji) && /\p{Extended_Pictographic}/u.test(emoji);
+}
+
+// Add or remove the caller's reaction. Returns { channel, payload } or { error }.
+async function _setReaction(uid, kind, msgId, emoji, add) {
+  const src = HISTORY_SOURCES[kind];
+  const id = _parseMsgId(msgId);
+  if (!src || !id) return { error: "Invalid message" };
+  if (!_isValidReaction(emoji)) return { error: "Invalid reaction" };
+
+  const now = Date.now();
+  const recent = (_userReactionTimestamps.get(uid) || []).filter(t => now - t < 10000);
+  recent.push(now);
+  _userReactionTimestamps.set(uid, recent.slice(-30));
+  if (recent.length > 20) return { error: "⚠️ Slow down! You're reacting too fast." };
+
+  const { rows } = await pool.query(
+    `SELECT ${src.scope} AS scope_id, user_id FROM ${src.table} WHERE id = $1 AND deleted_at IS NULL`, [id]
+  );
+  if (!rows.length) return { error: "Message not found" };
+  const scopeId = rows[0].scope_id;
+  if (kind === "dm") {
+    const members = await _dmMembers(scopeId);
+    if (!members || !members.includes(uid)) return { error: "Access denied" };
+  } else if (!_canAccessRoom(uid, scopeId, true)) return { error: "Access denied" };
+
+  const result = add
+    ? await pool.query(
+      `INSERT INTO message_reactions (msg_kind, msg_id, user_id, emoji) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING`,
+      [kind, id, uid, emoji]
+    )
+    : await pool.query(
+      `DELETE FROM message_reactions WHERE msg_kind = $1 AND msg_id = $2 AND user_id = $3 AND emoji = $4`,
+      [kind, id, uid, emoji]
     );
-    // Notify the other user that their messages were read
-    if (result.rowCount > 0) {
-      const otherUid = uids[0] === req.uid ? uids[1] : uids[0];
-      for (const [socketId, u] of connectedUsers.entries()) {
-        if (u.uid === otherUid) {
-          io.to(socketId).emit("dm_read", { chatId, readBy: req.uid });
-        }
-      }
+  if (!result.rowCount) return { unchanged: true };
+
+  const { rows: countRows } = await pool.query(
+    "SELECT COUNT(*) FROM message_reactions WHERE msg_kind = $1 AND msg_id = $2 AND emoji = $3", [kind, id, emoji]
+  );
+  // Rewarded once per message, and never for reacting to your own
+  if (add && rows[0].user_id !== uid) {
+    const reward = await pool.query(
+      "INSERT INTO reaction_rewards (user_id, msg_kind, msg_id) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING", [uid, kind, id]
+    );
+    if (reward.rowCount) {
+      if (REACTION_XP) _awardXP(uid, REACTION_XP, null, true);
+      _incrementMissionProgress(uid, 'give_reactions', 1);
     }
-    res.json({ ok: true, count: result.rowCount });
-  } catch (err) { res.status(500).json({ error: err.message }); }
+  }
+  return {
+    channel: src.channel + scopeId,
+    payload: { msgId: id, kind, [src.scope]: scopeId, emoji, uid, count: parseInt(countRows[0].count) }
+  };
+}
+
+// Aggregate reactions onto a page of messages: m.reactions = [{ emoji, count, me }]
+async function _attachReactions(kind, messages, viewerUid) {
+  if (!messages.length) return;
+  const { rows } = await pool.query(
+    `SELECT msg_id, emoji, COUNT(*)::int AS count, BOOL_OR(user_id = $3) AS me, MIN(created_at) AS first_at
+     FROM message_reactions WHERE msg_kind = $1 AND msg_id = ANY($2)
+     GROUP BY msg_id, emoji ORDER BY first_at`,
+    [kind, messages.map(m => m.id), viewerUid || ""]
+  );
+  const byMsg = new Map();
+  for (const r of rows) {
+    if (!byMsg.has(r.msg_id)) byMsg.set(r.msg_id, []);
+    byMsg.get(r.msg_id).push({ emoji: r.emoji, count: r.count, me: r.me });
+  }
+  messages.forEach(m => { m.reactions = byMsg.get(m.id) || []; });
+}
+
+// ============================================================
+// ATTACHMENTS (upload, thumbnails, storage backends)
+// ============================================================
+// Upload: POST /api/attachments with the raw file as the body, its MIME type as
+// Content-Type and the original name in ?filename=. The returned id is then passed
+// to send_message / send_dm in `attachments: [id, ...]`. Files are served from
+// /files/:id through short-lived signed URLs so <img> tags work without headers.
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+const THUMBNAIL_SIZE = 320;
+const FILE_URL_TTL_SEC = 6 * 60 * 60;
+const UNLINKED_ATTACHMENT_TTL_HOURS = 24;
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || "").replace(/\/$/, "");
+
+// Declared type must match the file's magic bytes, so a renamed .exe can't pass as a PNG
+const ATTACHMENT_TYPES = {
+  "image/jpeg": { image: true, sniff: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  "image/png": { image: true, sniff: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  "image/gif": { image: true, sniff: b => b.slice(0, 4).toString("latin1") === "GIF8" },
+  "image/webp": { image: true, sniff: b => b.slice(0, 4).toString("latin1") === "RIFF" && b.slice(8, 12).toString("latin1") === "WEBP" },
+  "application/pdf": { image: false, sniff: b => b.slice(0, 5).toString("latin1") === "%PDF-" }
+};
+
+// ---- STORAGE BACKENDS ----
+// Both expose put(key, buffer, mime), get(key) → Buffer, remove(key).
+function _createLocalStorage(dir) {
+  const fs = require("fs/promises");
+  const path = require("path");
+  const root = path.resolve(dir);
+  const resolve = (key) => path.join(root, key.replace(/[^a-zA-Z0-9._-]/g, ""));
+  return {
+    name: "local",
+    async put(key, buffer) {
+      await fs.mkdir(root, { recursive: true });
+      await fs.writeFile(resolve(key), buffer);
+    },
+    get: (key) => fs.readFile(resolve(key)),
+    remove: (key) => fs.unlink(resolve(key)).catch(e => { if (e.code !== "ENOENT") throw e; })
+  };
+}
+
+function _createS3Storage() {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+  const bucket = process.env.S3_BUCKET;
+  const client = new S3Client({
+    region: process.env.S3_REGION || "auto",
+    endpoint: process.env.S3_ENDPOINT || undefined, // R2, MinIO, Spaces...
+    forcePathStyle: !!process.env.S3_ENDPOINT,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "" }
+      : undefined
+  });
+  return {
+    name: "s3",
+    put: (key, buffer, mime) => client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: mime })),
+    async get(key) {
+      const out = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await out.Body.transformToByteArray());
+    },
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+  };
+}
+
+const attachmentStorage = process.env.S3_BUCKET
+  ? _createS3Storage()
+  : _createLocalStorage(process.env.UPLOAD_DIR || "uploads");
+console.log("OK attachment storage:", attachmentStorage.name);
+
+function _signFile(id, variant, exp) {
+  return crypto.createHmac("sha256", JWT_SECRET).update(id + ":" + variant + ":" + exp).digest("hex").slice(0, 32);
+}
+
+function _fileUrl(id, variant) {
+  // Round expiry up to the hour so URLs stay cacheable between page loads
+  const exp = Math.ceil((Date.now() / 1000 + FILE_URL_TTL_SEC) / 3600) * 3600;
+  return PUBLIC_API_URL + "/files/" + id + "?v=" + variant + "&exp=" + exp + "&sig=" + _signFile(id, variant, exp);
+}
+
+function _attachmentMeta(row) {
+  return {
+    id: row.id, mime: row.mime, size: row.size, filename: row.filename,
+    width: row.width, height: row.height,
+    url: _fileUrl(row.id, "full"),
+    thumb_url: row.thumb_key ? _fileUrl(row.id, "thumb") : null
+  };
+}
+
+// Validate ids sent with a message: must be the sender's own, still unattached uploads.
+// Returns the id list or { error }.
+async function _checkAttachments(uid, ids) {
+  if (ids === undefined || ids === null) return [];
+  if (!Array.isArray(ids) || ids.length > MAX_ATTACHMENTS_PER_MESSAGE || ids.some(id => typeof id !== "string")) {
+    return { error: "Up to " + MAX_ATTACHMENTS_PER_MESSAGE + " attachments per message" };
+  }
+  if (!ids.length) return [];
+  const unique = Array.from(new Set(ids));
+  const { rows } = await pool.query(
+    "SELECT id FROM attachments WHERE id = ANY($1) AND uploader_uid = $2 AND msg_id IS NULL", [unique, uid]
+  );
+  if (rows.length !== unique.length) return { error: "Attachment not found or already used" };
+  return unique;
+}
+
+async function _linkAttachments(kind, msgId, uid, ids) {
+  if (!ids.length) return [];
+  const { rows } = await pool.query(
+    `UPDATE attachments SET msg_kind = $1, msg_id = $2
+     WHERE id = ANY($3) AND uploader_uid = $4 AND msg_id IS NULL RETURNING *`,
+    [kind, msgId, ids, uid]
+  );
+  const order = new Map(ids.map((id, i) => [id, i]));
+  return rows.sort((a, b) => order.get(a.id) - order.get(b.id)).map(_attachmentMeta);
+}
+
+// History pages: m.attachments = [meta, ...]
+async function _attachAttachments(kind, messages) {
+  if (!messages.length) return;
+  const { rows } = await pool.query(
+    "SELECT * FROM attachments WHERE msg_kind = $1 AND msg_id = ANY($2) ORDER BY created_at",
+    [kind, messages.map(m => m.id)]
+  );
+  const byMsg = new Map();
+  for (const r of rows) {
+    if (!byMsg.has(r.msg_id)) byMsg.set(r.msg_id, []);
+    byMsg.get(r.msg_id).push(_attachmentMeta(r));
+  }
+  messages.forEach(m => { m.attachments = byMsg.get(m.id) || []; });
+}
+
+async function _removeAttachmentFiles(rows) {
+  for (const r of rows) {
+    await attachmentStorage.remove(r.storage_key).catch(e => console.error("[attachments] remove error:", r.storage_key, e.message));
+    if (r.thumb_key) await attachmentStorage.remove(r.thumb_key).catch(() => { });
+  }
+}
+
+const uploadLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: { error: "Too many uploads, please wait a minute." }
 });
 
-// ---- CREATE REPORT ----
-app.post("/api/reports", authMiddleware, async (req, res) => {
-  const { msgId, msgText, reportedUid, reportedName, roomId } = req.body;
-  if (!msgText && !reportedUid) return res.status(400).json({ error: "Invalid report data" });
-  try {
-    await pool.query(
-      `INSERT INTO reports (msg_id, msg_text, reported_uid, reported_name, reporter_uid, room_id)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [msgId || null, msgText || "", reportedUid || "", reportedName || "", req.uid, roomId || ""]
-    );
-    // Send email notification to admin
-    sendReportEmail({
-      reported_name: reportedName,
-      reported_uid: reportedUid,
-      room_id: roomId,
-      msg_text: msgText,
-      reporter_uid: req.uid
-    });
-    res.json({ ok: true });
+app.post("/api/attachments", uploadLimiter, authMiddleware,
+  express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }),
+  async (req, res) => {
+    const mime = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    const type = ATTACHMENT_TYPES[mime];
+    if (!type) return res.status(415).json({ error: "Unsupported file type" });
+    const buffer = req.body;
+    if (!Buffer.isBuffer(buffer) || !buffer.length) return res.status(400).json({ error: "Empty file" });
+    if (!type.sniff(buffer)) return res.status(415).json({ error: "File content does not match its type" });
+    const filename = String(req.query.filename || "file").replace(/[\\/\r\n"]/g, "_").slice(0, 120);
+
+    try {
+      const id = crypto.randomUUID();
+      let width = null, height = null, thumbKey = null, thumb = null;
+      if (type.image) {
+        try {
+          const meta = await sharp(buffer, { animated: false }).metadata();
+          width = meta.width || null;
+          height = meta.height || null;
+          thumb = await sharp(buffer, { animated: false }).rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+            .webp({ quality: 75 }).toBuffer();
+        } catch (e) {
+          return res.status(400).json({ error: "Could not read image" });
+        }
+      }
+      const storageKey = id + "-full";
+      await attachmentStorage.put(storageKey, buffer, mime);
+      if (thumb) {
+        thumbKey = id + "-thumb";
+        await attachmentStorage.put(thumbKey, thumb, "image/webp");
+      }
+      const { rows } = await pool.query(
+        `INSERT INTO attachments (id, uploader_uid, mime, size, filename, width, height, storage_key, thumb_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [id, req.uid, mime, buffer.length, filename, width, height, storageKey, thumbKey]
+      );
+      res.json(_attachmentMeta(rows[0]));
+    } catch (err) {
+      console.error("[attachments] upload error:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Outside /api/ so image-heavy pages don't burn the API rate limit
+app.get("/files/:id", async (req, res) => {
+  const { id } = req.params;
+  const variant = req.query.v === "thumb" ? "thumb" : "full";
+  const exp = parseInt(req.query.exp, 10);
+  const sig = String(req.query.sig || "");
+  const expected = _signFile(id, variant, exp);
+  if (!exp || exp < Date.now() / 1000 || sig.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    return res.status(403).json({ error: "Link expired" });
+  }
+  try {
+    const { rows } = await pool.query("SELECT * FROM attachments WHERE id = $1", [id]);
+    if (!rows.length || (variant === "thumb" && !rows[0].thumb_key)) return res.status(404).json({ error: "File not found" });
+    const row = rows[0];
+    const body = await attachmentStorage.get(variant === "thumb" ? row.thumb_key : row.storage_key);
+    res.setHeader("Content-Type", variant === "thumb" ? "image/webp" : row.mime);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    res.setHeader("Content-Disposition", (ATTACHMENT_TYPES[row.mime]?.image ? "inline" : "attachment") + `; filename="${row.filename}"`);
+    res.send(body);
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ---- ADMIN: GET REPORTS (paginated) ----
-app.get("/api/admin/reports", authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const status = req.query.status || "pending";
-    const limit = 20;
-    const offset = (page - 1) * limit;
-    const resolved = status === "resolved";
+// Drop uploads never attached to a message, and files whose message is gone
+function _startAttachmentCleanupJob() {
+  setInterval(async () => {
+    try {
+      const { rows } = await pool.query(
+        `DELETE FROM attachments a
+         WHERE (a.msg_id IS NULL AND a.created_at < NOW() - make_interval(hours => $1))
+            OR (a.msg_kind = 'room' AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.id = a.msg_id))
+            OR (a.msg_kind = 'dm' AND NOT EXISTS (SELECT 1 FROM dm_messages m WHERE m.id = a.msg_id))
+         RETURNING storage_key, thumb_key`,
+        [UNLINKED_ATTACHMENT_TTL_HOURS]
+      );
+      if (rows.length) {
+        await _removeAttachmentFiles(rows);
+        console.log(`[attachments] Cleaned up ${rows.length} file(s)`);
+      }
+    } catch (e) { console.error("[attachments] cleanup error:", e.message); }
+  }, 60 * 60 * 1000); // Hourly
+}
 
+// ============================================================
+// MISSED-EVENT SYNC
+// ============================================================
+// Every event a client could miss while offline is appended to sync_events. The
+// BIGSERIAL seq is the cursor: a user's events (user_ids contains them) plus the
+// events of the rooms they follow form an ordered stream they can resume with
+// GET /api/sync?since=<seq> or the `since` field of the socket handshake.
+// Live emits carry `seq` when the payload is an object so clients can keep their
+// cursor current; replays are at-least-once, so clients dedupe by id.
+const SYNC_RETENTION_DAYS = 7;
+const SYNC_PAGE_SIZE = 500;
+
+// target: "room_<id>", "dm_<chatId>" or an array of uids. Resolves to the seq, or null
+// when logging failed (the live emit still goes out, the event just won't replay).
+async function _recordEvent(target, type, payload) {
+  let roomId = null, uids = null;
+  if (Array.isArray(target)) uids = target;
+  else if (target.startsWith("room_")) roomId = target.slice(5);
+  else if (target.startsWith("dm_")) uids = await _dmMembers(target.slice(3));
+  // tempId only means something to the sending socket; photos come back via `users` on replay
+  const { tempId, photo, ...data } = payload;
+  try {
     const { rows } = await pool.query(
-      `SELECT r.*, u.photo AS reported_photo
-       FROM reports r LEFT JOIN users u ON u.id = r.reported_uid
-       WHERE r.resolved = $1
-       ORDER BY r.created_at DESC LIMIT $2 OFFSET $3`,
-      [resolved, limit, offset]
+      `INSERT INTO sync_events (user_ids, room_id, type, payload) VALUES ($1, $2, $3, $4) RETURNING seq`,
+      [uids, roomId, type, data]
     );
+    return Number(rows[0].seq);
+  } catch (e) {
+    console.error("[sync] record error:", e.message);
+    return null;
+  }
+}
 
-    const countResult = await pool.query(
-      "SELECT COUNT(*) FROM reports WHERE resolved = $1", [resolved]
-    );
-    const total = countResult.rows[0] ? parseInt(countResult.rows[0].count) : 0;
+// Rooms whose events a device should get back: ?rooms=a,b, or the rooms the user follows
+// plus the one it last had open
+async function _syncRooms(uid, sid, requested) {
+  if (requested) return String(requested).split(",").filter(r => _canAccessRoom(uid, r, true)).slice(0, 20);
+  const rooms = new Set((await _followedRooms(uid)).map(r => r.room_id));
+  const last = _lastChannel.get(sid);
+  if (last && last.roomId && _canAccessRoom(uid, last.roomId, true)) rooms.add(last.roomId);
+  return Array.from(rooms);
+}
 
-    res.json({ reports: rows, total, page, pages: Math.ceil(total / limit) });
-  } catch (err) { res.status(500).json({ error: err.message }); }
-});
+// Returns { events, users, cursor, has_more, reset }. Without a cursor the caller just gets the
+// current head to start from. `reset` means the cursor predates the retained log and the
+// client should reload history from the REST endpoints instead.
+async function _loadSyncEvents(uid, roomIds, since) {
+  const { rows: bounds } = await pool.query(
+    `SELECT COALESCE(MIN(seq), 0) AS min, COALESCE(MAX(seq), 0) AS max FROM sync_events`
+  );
+  const min = Number(bounds[0].min), max = Number(bounds[0].max);
+  if (since == null) return { events: [], users: {}, cursor: max, has_more: false, reset: false };
+  if (since > 0 && min > since + 1) return { events: [], users: {}, cursor: max, has_more: false, reset: true };
+  const { rows } = await pool.query(
+    `SELECT seq, type, payload, created_at FROM sync_events
+     WHERE seq > $1 AND (user_ids @> ARRAY[$2]::text[] OR room_id = ANY($3))
+       AND NOT (room_id IS NOT NULL AND COALESCE(payload->>'user_id', '') IN (SELECT blocked_uid FROM blocks WHERE blocker_uid = $2))
+     ORDER BY seq LIMIT $4`,
+    [since, uid, roomIds, SYNC_PAGE_SIZE + 1]
+  );
+  const hasMore = rows.length > SYNC_PAGE_SIZE;
+  const events = rows.slice(0, SYNC_PAGE_SIZE).map(r => ({ ...r, seq: Number(r.seq) }));
+  const users = await _loadUserProfiles(new Set(events.map(e => e.payload.user_id || e.payload.from || e.payload.uid).filter(Boolean)));
+  return { events, users, cursor: events.length ? events[events.length - 1].seq : since, has_more: hasMore, reset: false };
+}
 
-// ---- ADMIN: COUNT PENDING REPORTS ----
-app.get("/api/admin/reports/count", authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const { rows } = await pool.query("SELECT COUNT(*) FROM reports WHERE resolved = FALSE");
-    res.json({ pending: rows[0] ? parseInt(rows[0].count) : 0 });
-  } catch (err) { res.status(500).json({ error: err.message }); }
-});
+function _parseSyncCursor(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isSafeInteger(n) && n >= 0 ? n : undefined;
+}
 
-// ---- ADMIN: RESOLVE/DISMISS REPORT ----
-app.patch("/api/admin/reports/:id", authMiddleware, adminMiddleware, async (req, res) => {
+app.get("/api/sync", authMiddleware, async (req, res) => {
+  const since = _parseSyncCursor(req.query.since);
+  if (since === undefined) return res.status(400).json({ error: "Invalid cursor" });
   try {
-    await pool.query("UPDATE reports SET resolved = TRUE WHERE id = $1", [req.params.id]);
-    res.json({ ok: true });
+    res.json(await _loadSyncEvents(req.uid, await _syncRooms(req.uid, req.sid, req.query.rooms), since));
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+function _startSyncLogCleanupJob() {
+  setInterval(async () => {
+    try {
+      const result = await pool.query(
+        `DELETE FROM sync_events WHERE created_at < NOW() - make_interval(days => $1)`, [SYNC_RETENTION_DAYS]
+      );
+      if (result.rowCount) console.log(`[sync] Pruned ${result.rowCount} event(s)`);
+    } catch (e) { console.error("[sync] cleanup error:", e.message); }
+  }, 60 * 60 * 1000); // Hourly
+}
+
 // ============================================================
-// ADMIN: BAN / UNBAN / DELETE MESSAGE
+// MESSAGE RETENTION + DISAPPEARING DMs
 // ============================================================
+// Room messages older than their room's retention are purged; `vent` is ephemeral and
+// hub rooms keep everything. DMs have an optional per-chat timer that either participant
+// (or any group member) can set; it stamps expires_at on messages sent while it is on.
+const DEFAULT_ROOM_RETENTION_HOURS = 90 * 24;
+const ROOM_RETENTION_HOURS = { vent: 24 };
+const DM_TIMER_OPTIONS = [0, 60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60, 90 * 24 * 60 * 60]; // seconds, 0 = off
+const RETENTION_BATCH_SIZE = 1000;
+
+// Hours a room keeps its messages, or null for forever. settings.retention_hours in the
+// room catalog overrides the defaults below.
+function _roomRetentionHours(roomId) {
+  const room = _rooms.get(roomId);
+  if (room && room.settings && room.settings.retention_hours !== undefined) return room.settings.retention_hours;
+  if (roomId in ROOM_RETENTION_HOURS) return ROOM_RETENTION_HOURS[roomId];
+  if (roomId.startsWith("hub_")) return null;
+  return DEFAULT_ROOM_RETENTION_HOURS;
+}
 
-app.post("/api/admin/ban/:uid", authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    await pool.query("UPDATE users SET is_banned = TRUE WHERE id = $1", [req.params.uid]);
-    connectedUsers.forEach((u, socketId) => {
-      if (u.uid === req.params.uid) {
-        io.to(socketId).emit("banned");
-        const s = io.sockets.sockets.get(socketId);
-        if (s) s.disconnect(true);
-      }
-    });
-    res.json({ ok: true });
-  } catch (err) { res.status(500).json({ error: err.message }); }
-});
+// Clean up what hangs off purged messages (reply_to pointers, reactions, edit history,
+// files, replayable copies in the sync log), then tell open clients they are gone.
+// rows: [{ id, scope_id }]
+async function _afterMessagesPurged(kind, rows) {
+  const src = HISTORY_SOURCES[kind];
+  const ids = rows.map(r => r.id);
+  await pool.query(`UPDATE ${src.table} SET reply_to = NULL WHERE reply_to = ANY($1)`, [ids]);
+  await _dropMessageExtras(kind, ids);
+  await pool.query("DELETE FROM hidden_messages WHERE msg_kind = $1 AND msg_id = ANY($2)", [kind, ids]);
+  for (const r of rows) {
+    io.to(src.channel + r.scope_id).emit("message_deleted", r.id);
+    await _recordEvent(src.channel + r.scope_id, "message_deleted", { id: r.id, [src.scope]: r.scope_id, expired: true });
+  }
+}
+
+// Shared by retention purges and delete-for-everyone
+async function _dropMessageExtras(kind, ids) {
+  await pool.query("DELETE FROM message_reactions WHERE msg_kind = $1 AND msg_id = ANY($2)", [kind, ids]);
+  await pool.query("DELETE FROM reaction_rewards WHERE msg_kind = $1 AND msg_id = ANY($2)", [kind, ids]);
+  await pool.query("DELETE FROM message_edits WHERE msg_kind = $1 AND msg_id = ANY($2)", [kind, ids]);
+  const files = await pool.query(
+    "DELETE FROM attachments WHERE msg_kind = $1 AND msg_id = ANY($2) RETURNING storage_key, thumb_key", [kind, ids]
+  );
+  await _removeAttachmentFiles(files.rows);
+  await pool.query(
+    `DELETE FROM sync_events WHERE type IN ('new_message', 'new_dm', 'message_edited')
+       AND ${kind === "room" ? "room_id" : "user_ids"} IS NOT NULL AND (payload->>'id')::int = ANY($1)`,
+    [ids]
+  );
+}
+
+async function _purgeExpiredMessages() {
+  const byHours = new Map();
+  Array.from(_rooms.keys()).forEach(roomId => {
+    const hours = _roomRetentionHours(roomId);
+    if (hours == null) return;
+    if (!byHours.has(hours)) byHours.set(hours, []);
+    byHours.get(hours).push(roomId);
+  });
+  let total = 0;
+  for (const [hours, roomIds] of byHours) {
+    const { rows } = await pool.query(
+      `DELETE FROM messages WHERE id IN (
+         SELECT id FROM messages WHERE room_id = ANY($1) AND created_at < NOW() - make_interval(hours => $2) LIMIT $3
+       ) RETURNING id, room_id AS scope_id`,
+      [roomIds, hours, RETENTION_BATCH_SIZE]
+    );
+    if (rows.length) await _afterMessagesPurged("room", rows);
+    total += rows.length;
+  }
+  const { rows: dmRows } = await pool.query(
+    `DELETE FROM dm_messages WHERE id IN (
+       SELECT id FROM dm_messages WHERE expires_at <= NOW() LIMIT $1
+     ) RETURNING id, chat_id AS scope_id`,
+    [RETENTION_BATCH_SIZE]
+  );
+  if (dmRows.length) await _afterMessagesPurged("dm", dmRows);
+  total += dmRows.length;
+  if (total) console.log(`[retention] Purged ${total} message(s)`);
+}
+
+function _startRetentionJob() {
+  setInterval(() => {
+    _purgeExpiredMessages().catch(e => console.error("[retention] purge error:", e.message));
+  }, 5 * 60 * 1000); // Every 5 minutes
+}
 
-app.get("/api/admin/banned", authMiddleware, adminMiddleware, async (req, res) => {
+// ---- DISAPPEARING MESSAGE TIMER (per DM) ----
+app.get("/api/dms/:chatId/disappearing", authMiddleware, async (req, res) => {
+  const chatId = req.params.chatId;
   try {
+    const members = await _dmMembers(chatId);
+    if (!members || !members.includes(req.uid)) return res.status(403).json({ error: "Access denied" });
     const { rows } = await pool.query(
-      "SELECT id, name, photo, email FROM users WHERE is_banned = TRUE ORDER BY name"
+      "SELECT disappear_after_secs, updated_by, updated_at FROM dm_settings WHERE chat_id = $1", [chatId]
     );
-    res.json(rows);
+    res.json({ chatId, seconds: rows[0]?.disappear_after_secs || 0, updated_by: rows[0]?.updated_by || null, updated_at: rows[0]?.updated_at || null });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post("/api/admin/unban/:uid", authMiddleware, adminMiddleware, async (req, res) => {
+app.put("/api/dms/:chatId/disappearing", authMiddleware, async (req, res) => {
+  const chatId = req.params.chatId;
+  const seconds = Number(req.body.seconds);
+  if (!DM_TIMER_OPTIONS.includes(seconds)) {
+    return res.status(400).json({ error: "seconds must be one of " + DM_TIMER_OPTIONS.join(", ") });
+  }
   try {
-    await pool.query("UPDATE users SET is_banned = FALSE WHERE id = $1", [req.params.uid]);
-    res.json({ ok: true });
+    const members = await _dmMembers(chatId);
+    if (!members || !members.includes(req.uid)) return res.status(403).json({ error: "Access denied" });
+    await pool.query(
+      `INSERT INTO dm_settings (chat_id, disappear_after_secs, updated_by, updated_at) VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (chat_id) DO UPDATE SET disappear_after_secs = $2, updated_by = $3, updated_at = NOW()`,
+      [chatId, seconds || null, req.uid]
+    );
+    // Applies to messages sent from now on; earlier ones keep the timer they were sent with
+    const update = { chatId, seconds, by: req.uid };
+    update.seq = await _recordEvent("dm_" + chatId, "dm_timer_updated", update);
+    io.to("dm_" + chatId).emit("dm_timer_updated", update);
+    res.json({ ok: true, seconds });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.delete("/api/admin/messages/:msgId", authMiddleware, adminMiddleware, async (req, res) => {
+// ============================================================
+// MENTIONS
+// ============================================================
+// "@<uid>" always works; "@<name>" matches a display name with its spaces removed,
+// case-insensitive, and is skipped when several users share that name.
+const MAX_MENTIONS_PER_MESSAGE = 10;
+const MENTION_RE = /(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_.-]{2,40})/gu;
+
+function _extractMentionTokens(text) {
+  const tokens = new Set();
+  for (const match of (text || "").matchAll(MENTION_RE)) {
+    tokens.add(match[2].replace(/[.-]+$/, ""));
+    if (tokens.size >= MAX_MENTIONS_PER_MESSAGE) break;
+  }
+  return Array.from(tokens).filter(t => t.length >= 2);
+}
+
+// Map tokens to user ids (excluding the sender, banned and departing users)
+async function _resolveMentions(text, senderUid) {
+  const tokens = _extractMentionTokens(text);
+  if (!tokens.length) return [];
+  const lowered = tokens.map(t => t.toLowerCase());
+  const { rows } = await pool.query(
+    `SELECT id, LOWER(REPLACE(name, ' ', '')) AS handle FROM users
+     WHERE (id = ANY($1) OR LOWER(REPLACE(name, ' ', '')) = ANY($2))
+       AND id != $3 AND (is_banned = FALSE OR is_banned IS NULL) AND deletion_scheduled_for IS NULL
+       AND id NOT IN (SELECT blocker_uid FROM blocks WHERE blocked_uid = $3)`,
+    [tokens, lowered, senderUid]
+  );
+  const uids = new Set();
+  for (const token of tokens) {
+    const byId = rows.find(r => r.id === token);
+    if (byId) { uids.add(byId.id); continue; }
+    const byName = rows.filter(r => r.handle === token.toLowerCase());
+    if (byName.length === 1) uids.add(byName[0].id);
+  }
+  return Array.from(uids).slice(0, MAX_MENTIONS_PER_MESSAGE);
+}
+
+// Store + notify. Mentioned users get a socket event and a push wherever they are.
+async function _notifyMentions(uids, msg, sender) {
+  if (!uids.length) return;
+  await pool.query(
+    `INSERT INTO mentions (msg_id, room_id, mentioned_uid, sender_uid)
+     SELECT $1, $2, unnest($3::text[]), $4 ON CONFLICT DO NOTHING`,
+    [msg.id, msg.room_id, uids, sender.uid]
+  );
+  const target = new Set(uids);
+  const payload = {
+    msgId: msg.id, roomId: msg.room_id, text: msg.text, created_at: msg.created_at,
+    from: { uid: sender.uid, name: sender.name, photo: sender.photo }
+  };
+  for (const [socketId, u] of connectedUsers.entries()) {
+    if (target.has(u.uid)) io.to(socketId).emit("mentioned", payload);
+  }
+  for (const uid of uids) {
+    sendPushToUser(uid, sender.name + " te mencionó en #" + msg.room_id, msg.text || "📎 Attachment");
+  }
+}
+
+// ---- MY MENTIONS (newest first, ?before=<mention id>&limit=) ----
+app.get("/api/mentions", authMiddleware, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+  const before = _parseMsgId(req.query.before);
   try {
-    const { rows } = await pool.query("DELETE FROM messages WHERE id = $1 RETURNING room_id", [req.params.msgId]);
-    if (rows.length) io.to("room_" + rows[0].room_id).emit("message_deleted", req.params.msgId);
-    res.json({ ok: true });
+    const { rows } = await pool.query(
+      `SELECT mn.id, mn.msg_id, mn.room_id, mn.sender_uid, mn.created_at, mn.read_at, m.text
+       FROM mentions mn JOIN messages m ON m.id = mn.msg_id
+       WHERE mn.mentioned_uid = $1 AND ($2::int IS NULL OR mn.id < $2)
+       ORDER BY mn.id DESC LIMIT $3`,
+      [req.uid, before, limit + 1]
+    );
+    const mentions = rows.slice(0, limit);
+    const { rows: countRows } = await pool.query(
+      "SELECT COUNT(*) FROM mentions WHERE mentioned_uid = $1 AND read_at IS NULL", [req.uid]
+    );
+    const users = await _loadUserProfiles(new Set(mentions.map(m => m.sender_uid)));
+    res.json({
+      mentions, users,
+      unread: parseInt(countRows[0].count),
+      next_before: rows.length > limit ? mentions[mentions.length - 1].id : null
+    });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.delete("/api/messages/:msgId", authMiddleware, async (req, res) => {
+// Mark mentions as read: { ids: [...] } or everything when ids is omitted
+app.post("/api/mentions/read", authMiddleware, async (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(_parseMsgId).filter(Boolean) : null;
   try {
-    const { rows } = await pool.query("DELETE FROM messages WHERE id = $1 AND user_id = $2 RETURNING room_id", [req.params.msgId, req.uid]);
-    if (rows.length) {
-      io.to("room_" + rows[0].room_id).emit("message_deleted", req.params.msgId);
-      return res.json({ ok: true });
-    }
-    const dm = await pool.query("DELETE FROM dm_messages WHERE id = $1 AND user_id = $2 RETURNING chat_id", [req.params.msgId, req.uid]);
-    if (dm.rows.length) {
-      io.to("dm_" + dm.rows[0].chat_id).emit("message_deleted", req.params.msgId);
-      return res.json({ ok: true });
-    }
-    res.status(404).json({ error: "Message not found" });
+    const result = await pool.query(
+      `UPDATE mentions SET read_at = NOW()
+       WHERE mentioned_uid = $1 AND read_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2))`,
+      [req.uid, ids]
+    );
+    res.json({ ok: true, count: result.rowCount });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -1270,11 +4851,183 @@ app.post("/api/focus/complete", authMiddleware, async (req, res) => {
 // SOCKET.IO
 // ============================================================
 const connectedUsers = new Map();
+// Indexes over connectedUsers so presence lookups don't walk every socket
+const _socketsByUid = new Map(); // uid → Set of socket ids
+const _roomFocus = new Map(); // roomId → Set of socket ids with that room open
+
+function _trackSocket(socketId, user) {
+  connectedUsers.set(socketId, user);
+  if (!_socketsByUid.has(user.uid)) _socketsByUid.set(user.uid, new Set());
+  _socketsByUid.get(user.uid).add(socketId);
+}
+
+function _untrackSocket(socketId) {
+  const user = connectedUsers.get(socketId);
+  connectedUsers.delete(socketId);
+  const ids = user && _socketsByUid.get(user.uid);
+  if (!ids) return;
+  ids.delete(socketId);
+  if (!ids.size) _socketsByUid.delete(user.uid);
+}
+
+// The one channel ("room_<id>" / "dm_<id>") the socket has open, or null
+function _setFocus(socket, focus) {
+  const prev = socket.data.focus;
+  if (prev && prev.startsWith("room_")) {
+    const ids = _roomFocus.get(prev.slice("room_".length));
+    if (ids) { ids.delete(socket.id); if (!ids.size) _roomFocus.delete(prev.slice("room_".length)); }
+  }
+  socket.data.focus = focus;
+  if (focus && focus.startsWith("room_")) {
+    const roomId = focus.slice("room_".length);
+    if (!_roomFocus.has(roomId)) _roomFocus.set(roomId, new Set());
+    _roomFocus.get(roomId).add(socket.id);
+  }
+}
+
+// ---- PRESENCE ----
+// Each user picks a status (online, away, dnd, invisible) with optional text and emoji,
+// stored on the users row and mirrored on their connectedUsers entries. What others
+// see is derived: invisible shows as offline, and online turns into away once every
+// device has been idle for AUTO_AWAY_AFTER_MS (or said so with `idle`). Changes go to
+// friends and to whoever has one of the user's rooms open, never to everyone.
+const PRESENCE_STATUSES = ["online", "away", "dnd", "invisible"];
+const AUTO_AWAY_AFTER_MS = 5 * 60 * 1000;
+
+// What other users see for uid
+function _presenceOf(uid) {
+  let entry = null, active = false;
+  for (const socketId of _socketsByUid.get(uid) || []) {
+    entry = connectedUsers.get(socketId);
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && !socket.data.idle) active = true;
+  }
+  if (!entry || entry.status === "invisible") return { uid, status: "offline" };
+  return {
+    uid, status: entry.status === "online" && !active ? "away" : entry.status,
+    text: entry.statusText || "", emoji: entry.statusEmoji || ""
+  };
+}
+
+// Channels ("room_<id>") the user currently has open on any device
+function _focusedRooms(uid) {
+  const rooms = new Set();
+  for (const socket of _userSockets(uid)) {
+    if (socket.data.focus && socket.data.focus.startsWith("room_")) rooms.add(socket.data.focus);
+  }
+  return rooms;
+}
+
+// Uids with roomId open, skipping anyone who blocked viewerUid or whom viewerUid blocked
+function _roomPresentUids(roomId, viewerUid) {
+  const [viewerSocket] = _socketsByUid.get(viewerUid) || [];
+  const viewer = viewerSocket && connectedUsers.get(viewerSocket);
+  const uids = new Set();
+  for (const socketId of _roomFocus.get(roomId) || []) {
+    const u = connectedUsers.get(socketId);
+    if (!u) continue;
+    if (viewerUid && ((u.blocked && u.blocked.has(viewerUid)) || (viewer && viewer.blocked && viewer.blocked.has(u.uid)))) continue;
+    uids.add(u.uid);
+  }
+  return Array.from(uids);
+}
+
+async function _presenceAudience(uid, rooms) {
+  const { rows } = await pool.query("SELECT friend_id FROM friends WHERE user_id = $1", [uid]);
+  const audience = new Set(rows.map(r => r.friend_id));
+  rooms.forEach(channel => _roomPresentUids(channel.slice("room_".length), uid).forEach(u => audience.add(u)));
+  audience.delete(uid);
+  return Array.from(audience);
+}
+
+// Call with what others saw before a change; emits only if that actually changed.
+// `rooms` overrides the open rooms for a socket that is already gone.
+async function _announcePresence(uid, before, rooms) {
+  const after = _presenceOf(uid);
+  if (before.status === after.status && before.text === after.text && before.emoji === after.emoji) return;
+  const audience = await _presenceAudience(uid, rooms || _focusedRooms(uid));
+  _emitToUsers(audience, "presence_update", after);
+  // Older clients only know the online/offline pair
+  if (before.status === "offline") _emitToUsers(audience, "user_online", uid);
+  else if (after.status === "offline") _emitToUsers(audience, "user_offline", uid);
+}
+
+// { status?, text?, emoji? } → { presence } or { error }
+async function _setStatus(uid, changes) {
+  const { status, text, emoji } = changes || {};
+  if (status !== undefined && !PRESENCE_STATUSES.includes(status)) {
+    return { error: "status must be one of " + PRESENCE_STATUSES.join(", ") };
+  }
+  if (text !== undefined && (typeof text !== "string" || text.length > 80)) return { error: "Status text too long (max 80)" };
+  if (emoji !== undefined && (typeof emoji !== "string" || emoji.length > 16)) return { error: "Invalid status emoji" };
+  const { rows } = await pool.query(
+    `UPDATE users SET presence_status = COALESCE($2, presence_status), status_text = COALESCE($3, status_text),
+       status_emoji = COALESCE($4, status_emoji)
+     WHERE id = $1 RETURNING presence_status, status_text, status_emoji`,
+    [uid, status ?? null, text === undefined ? null : text.trim(), emoji ?? null]
+  );
+  if (!rows.length) return { error: "User not found" };
+  const before = _presenceOf(uid);
+  for (const socketId of _socketsByUid.get(uid) || []) {
+    const u = connectedUsers.get(socketId);
+    u.status = rows[0].presence_status;
+    u.statusText = rows[0].status_text;
+    u.statusEmoji = rows[0].status_emoji;
+  }
+  const own = { status: rows[0].presence_status, text: rows[0].status_text, emoji: rows[0].status_emoji };
+  _emitToUsers([uid], "status_updated", own);
+  await _announcePresence(uid, before);
+  return { presence: own };
+}
+
+function _startAutoAwayJob() {
+  setInterval(() => {
+    const now = Date.now();
+    const idled = new Map(); // uid → presence before this pass
+    for (const [socketId, u] of connectedUsers.entries()) {
+      const socket = io.sockets.sockets.get(socketId);
+      if (!socket || socket.data.idle || now - (socket.data.lastActive || now) < AUTO_AWAY_AFTER_MS) continue;
+      if (!idled.has(u.uid)) idled.set(u.uid, _presenceOf(u.uid));
+      socket.data.idle = true;
+    }
+    idled.forEach((before, uid) => {
+      _announcePresence(uid, before).catch(e => console.error("[presence] error:", e.message));
+    });
+  }, 60 * 1000); // Every minute
+}
+
+app.put("/api/users/me/status", authMiddleware, async (req, res) => {
+  try {
+    const result = await _setStatus(req.uid, req.body);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ ok: true, ...result.presence });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Who has the room open right now (invisible users and blocks excluded)
+app.get("/api/rooms/:roomId/members", authMiddleware, (req, res) => {
+  const roomId = req.params.roomId;
+  if (!_canAccessRoom(req.uid, roomId, true)) return res.status(400).json({ error: "Invalid room" });
+  const members = [];
+  for (const uid of _roomPresentUids(roomId, req.uid)) {
+    const presence = _presenceOf(uid);
+    if (presence.status === "offline") continue;
+    const u = connectedUsers.get(_socketsByUid.get(uid).values().next().value);
+    members.push({ ...presence, name: u.name, photo: u.photo, premium: u.premium, theriotype: u.theriotype });
+  }
+  res.json(members);
+});
 
 // ---- QIURE MATCHMAKING QUEUE (improved with preference matching) ----
 let _matchQueue = [];
 const _recentMatches = new Map(); // uid → Set of matched uids (avoid repeats)
 
+// Either side has blocked the other (uses the blocked sets kept on connected users)
+function _matchBlocked(p1, p2) {
+  const u1 = connectedUsers.get(p1.socketId), u2 = connectedUsers.get(p2.socketId);
+  return !!((u1 && u1.blocked && u1.blocked.has(p2.uid)) || (u2 && u2.blocked && u2.blocked.has(p1.uid)));
+}
+
 function _findBestMatch(queue) {
   if (queue.length < 2) return null;
 
@@ -1283,6 +5036,7 @@ function _findBestMatch(queue) {
     for (let j = i + 1; j < queue.length; j++) {
       const p1 = queue[i], p2 = queue[j];
       // Check recent matches to avoid repeats
+      if (_matchBlocked(p1, p2)) continue;
       const p1Recent = _recentMatches.get(p1.uid) || new Set();
       const p2Recent = _recentMatches.get(p2.uid) || new Set();
       if (p1Recent.has(p2.uid) || p2Recent.has(p1.uid)) continue;
@@ -1300,15 +5054,24 @@ function _findBestMatch(queue) {
     for (let j = i + 1; j < queue.length; j++) {
       const p1 = queue[i], p2 = queue[j];
       const p1Recent = _recentMatches.get(p1.uid) || new Set();
-      if (!p1Recent.has(p2.uid)) {
+      if (!p1Recent.has(p2.uid) && !_matchBlocked(p1, p2)) {
         queue.splice(j, 1); queue.splice(i, 1);
         return [p1, p2];
       }
     }
   }
 
-  // Last resort: match first two regardless
-  return [queue.shift(), queue.shift()];
+  // Last resort: first pair regardless of recent matches, but never across a block
+  for (let i = 0; i < queue.length; i++) {
+    for (let j = i + 1; j < queue.length; j++) {
+      const p1 = queue[i], p2 = queue[j];
+      if (!_matchBlocked(p1, p2)) {
+        queue.splice(j, 1); queue.splice(i, 1);
+        return [p1, p2];
+      }
+    }
+  }
+  return null;
 }
 
 setInterval(async () => {
@@ -1358,6 +5121,13 @@ setInterval(async () => {
         "INSERT INTO dm_messages (chat_id, user_id, text, created_at) VALUES ($1, $2, $3, NOW())",
         [chatId, "system", "⚡ QIURE Match! Say hi to your new friend!"]
       );
+      await _recordDirectChat(chatId, [p1.uid, p2.uid]);
+      // Both opted into matchmaking, so the chat skips message requests
+      await pool.query(
+        `INSERT INTO dm_requests (chat_id, from_uid, to_uid, status, responded_at) VALUES ($1, $2, $3, 'accepted', NOW())
+         ON CONFLICT (chat_id) DO UPDATE SET status = 'accepted', responded_at = NOW()`,
+        [chatId, p1.uid, p2.uid]
+      );
 
       const payload1 = { chatId, partner: { uid: p2.uid, name: p2.name, photo: p2.photo, theriotype: p2.theriotype } };
       const payload2 = { chatId, partner: { uid: p1.uid, name: p1.name, photo: p1.photo, theriotype: p1.theriotype } };
@@ -1374,108 +5144,292 @@ setInterval(async () => {
   }
 }, 3000);
 
+// ---- SOCKET AUTH (handshake) ----
+// Clients connect with io(URL, { auth: { token, roomId?, chatId? } }). Sockets that
+// fail here never reach the connection handler, so no events get registered for them.
+// The client sees the reason in connect_error (err.message, err.data.code).
+const SOCKET_REAUTH_GRACE_MS = 60000; // Time to send `reauth` after `token_expired`
+const _lastChannel = new Map(); // sessionId → { roomId } | { chatId }, for resume after reconnect
+const LAST_CHANNEL_MAX = 50000;
+
+// Kept in least-recently-set order, so entries past the refresh window (their session has
+// expired unless it was refreshed without switching channels) or over the cap fall off the front
+function _rememberChannel(sid, channel) {
+  _lastChannel.delete(sid);
+  _lastChannel.set(sid, { ...channel, at: Date.now() });
+  const cutoff = Date.now() - REFRESH_TOKEN_DAYS * 86400000;
+  for (const [key, entry] of _lastChannel) {
+    if (_lastChannel.size <= LAST_CHANNEL_MAX && entry.at >= cutoff) break;
+    _lastChannel.delete(key);
+  }
+}
+
+function _socketAuthError(message, code) {
+  const err = new Error(message);
+  err.data = { code };
+  return err;
+}
+
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token || typeof token !== "string") return next(_socketAuthError("Not authorized", "unauthorized"));
+  try {
+    const auth = await _resolveAccessToken(token, true);
+    if (auth.error) return next(_socketAuthError(auth.error, auth.status === 403 ? "banned" : "unauthorized"));
+    socket.data.auth = auth;
+    next();
+  } catch (err) {
+    next(_socketAuthError("Authentication unavailable, retry", "server_error"));
+  }
+});
+
+// Warn the client when its access token runs out, then drop it if it never re-auths
+function _armTokenExpiry(socket, exp) {
+  clearTimeout(socket.data.expiryTimer);
+  socket.data.expiryTimer = setTimeout(() => {
+    socket.emit("token_expired");
+    socket.data.expiryTimer = setTimeout(() => socket.disconnect(true), SOCKET_REAUTH_GRACE_MS);
+  }, Math.max(exp * 1000 - Date.now(), 0));
+}
+
+function _joinRoom(socket, user, roomId, isResume) {
+  if (!_canAccessRoom(user.uid, roomId) || _roomSanctionUntil(roomId, user.uid, "kick")) return false;
+  _leaveFocusedChannel(socket);
+  socket.join("room_" + roomId);
+  _setFocus(socket, "room_" + roomId);
+  _rememberChannel(user.sid, { roomId });
+  // The room's current crowd now counts as co-members
+  const presence = _presenceOf(user.uid);
+  if (presence.status !== "offline") {
+    _emitToUsers(_roomPresentUids(roomId, user.uid).filter(u => u !== user.uid), "presence_update", presence);
+  }
+  if (!isResume) _incrementMissionProgress(user.uid, 'visit_rooms', 1);
+  console.log("Socket", socket.id, (isResume ? "resumed" : "joined") + " room_" + roomId);
+  return true;
+}
+
+async function _joinDm(socket, user, chatId, isResume) {
+  const members = await _dmMembers(chatId);
+  if (!members || !members.includes(user.uid)) return false;
+  _leaveFocusedChannel(socket);
+  socket.join("dm_" + chatId);
+  _setFocus(socket, "dm_" + chatId);
+  _rememberChannel(user.sid, { chatId });
+  console.log("Socket", socket.id, (isResume ? "resumed" : "joined") + " dm_" + chatId);
+  return true;
+}
+
+// Rejoin the channel this device had open before it dropped. The handshake can name
+// one explicitly; otherwise fall back to what the server remembers for the session.
+async function _resumeChannel(socket, user) {
+  const hint = socket.handshake.auth || {};
+  const last = (hint.roomId || hint.chatId) ? { roomId: hint.roomId, chatId: hint.chatId } : _lastChannel.get(user.sid);
+  if (!last) return;
+  if (last.roomId && _joinRoom(socket, user, last.roomId, true)) socket.emit("resumed", { roomId: last.roomId });
+  else if (last.chatId && await _joinDm(socket, user, last.chatId, true)) socket.emit("resumed", { chatId: last.chatId });
+}
+
+// Emit `sync` with what this device missed since its resume cursor. Without a cursor the
+// payload only carries the current head so the client has somewhere to start from.
+function _sendMissedEvents(socket, user, since) {
+  const cursor = _parseSyncCursor(since);
+  if (cursor === undefined) return socket.emit("sync_error", "Invalid cursor");
+  _syncRooms(user.uid, user.sid)
+    .then(rooms => _loadSyncEvents(user.uid, rooms, cursor))
+    .then(page => socket.emit("sync", page))
+    .catch(err => socket.emit("sync_error", err.message));
+}
+
 io.on("connection", (socket) => {
+  const { user: dbUser, sid, exp } = socket.data.auth;
+  const me = {
+    uid: dbUser.id, sid, name: dbUser.name, photo: dbUser.photo, premium: dbUser.premium, theriotype: dbUser.theriotype || "", blocked: new Set(),
+    status: PRESENCE_STATUSES.includes(dbUser.presence_status) ? dbUser.presence_status : "online",
+    statusText: dbUser.status_text || "", statusEmoji: dbUser.status_emoji || ""
+  };
+  const presenceBefore = _presenceOf(me.uid);
+  socket.data.lastActive = Date.now();
+  _trackSocket(socket.id, me);
+  _loadBlockedSet(me.uid).then(set => { set.forEach(uid => me.blocked.add(uid)); }).catch(() => { });
+  _armTokenExpiry(socket, exp);
+  socket.emit("auth_ok");
+  // Invisible users don't leave a trace in last_seen
+  if (me.status !== "invisible") pool.query("UPDATE users SET last_seen = NOW() WHERE id = $1", [me.uid]).catch(() => { });
+
+  // Send this socket its friends' presence, then tell friends (and room co-members) about this user
+  pool.query("SELECT friend_id FROM friends WHERE user_id = $1", [me.uid]).then(({ rows }) => {
+    const presence = rows.map(r => _presenceOf(r.friend_id)).filter(p => p.status !== "offline");
+    socket.emit("online_users", presence.map(p => p.uid));
+    socket.emit("presence", presence);
+  }).catch(() => { });
+  socket.emit("status_updated", { status: me.status, text: me.statusText, emoji: me.statusEmoji });
+  _announcePresence(me.uid, presenceBefore).catch(e => console.error("[presence] error:", e.message));
+
+  // Any event counts as activity; `idle` is the client saying it went to the background
+  socket.onAny((event) => {
+    socket.data.lastActive = Date.now();
+    if (!socket.data.idle || event === "idle") return;
+    const before = _presenceOf(me.uid);
+    socket.data.idle = false;
+    _announcePresence(me.uid, before).catch(() => { });
+  });
+  socket.on("idle", () => {
+    if (socket.data.idle) return;
+    const before = _presenceOf(me.uid);
+    socket.data.idle = true;
+    _announcePresence(me.uid, before).catch(() => { });
+  });
 
-  socket.on("auth", (token) => {
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      pool.query("SELECT * FROM users WHERE id = $1", [decoded.uid]).then(({ rows }) => {
-        if (!rows.length) return socket.emit("auth_error", "User not found");
-        const user = rows[0];
-        if (user.is_banned) return socket.emit("banned");
-        connectedUsers.set(socket.id, { uid: user.id, name: user.name, photo: user.photo, premium: user.premium, theriotype: user.theriotype || "" });
-        socket.emit("auth_ok");
-        pool.query("UPDATE users SET last_seen = NOW() WHERE id = $1", [user.id]).catch(() => { });
-
-        // Send initial online users to this socket
-        const onlineUids = Array.from(new Set(Array.from(connectedUsers.values()).map(u => u.uid)));
-        socket.emit("online_users", onlineUids);
-
-        // Tell others this user is online
-        socket.broadcast.emit("user_online", user.id);
-      });
-    } catch (err) {
-      socket.emit("auth_error", "Invalid token");
-    }
+  // { status?, text?, emoji? }, same as PUT /api/users/me/status
+  socket.on("set_status", async (data) => {
+    const result = await _setStatus(me.uid, data).catch(err => ({ error: err.message }));
+    if (result.error) socket.emit("message_error", result.error);
   });
 
+  _joinFollowedRooms(socket, me).catch(() => { });
+  _resumeChannel(socket, me).catch(() => { });
+  _sendMissedEvents(socket, me, (socket.handshake.auth || {}).since);
+
+  // ---- RE-AUTH (rotated access token mid-session) ----
+  // Takes the token string, or { token, since } to also replay missed events
+  const onReauth = (data) => {
+    const token = data && typeof data === "object" ? data.token : data;
+    if (!token || typeof token !== "string") return socket.emit("auth_error", "Invalid token");
+    _resolveAccessToken(token).then((auth) => {
+      if (auth.error) {
+        socket.emit(auth.status === 403 ? "banned" : "auth_error", auth.error);
+        return socket.disconnect(true);
+      }
+      if (auth.uid !== me.uid) return socket.emit("auth_error", "Token belongs to another user");
+      if (auth.sid !== me.sid) {
+        const last = _lastChannel.get(me.sid);
+        if (last) _rememberChannel(auth.sid, last);
+        _lastChannel.delete(me.sid);
+        me.sid = auth.sid;
+      }
+      _armTokenExpiry(socket, auth.exp);
+      socket.emit("auth_ok");
+      if (data && typeof data === "object" && data.since != null) _sendMissedEvents(socket, me, data.since);
+    }).catch(() => socket.emit("auth_error", "Invalid token"));
+  };
+  socket.on("reauth", onReauth);
+  socket.on("auth", onReauth); // Older clients still emit `auth` after connecting
+
   socket.on("disconnect", () => {
+    clearTimeout(socket.data.expiryTimer);
     const user = connectedUsers.get(socket.id);
     if (user) {
-      connectedUsers.delete(socket.id);
-      pool.query("UPDATE users SET last_seen = NOW() WHERE id = $1", [user.uid]).catch(() => { });
-      const stillOnline = Array.from(connectedUsers.values()).some(u => u.uid === user.uid);
-      if (!stillOnline) {
-        io.emit("user_offline", user.uid);
-      }
+      const before = _presenceOf(user.uid);
+      const rooms = _focusedRooms(user.uid);
+      if (socket.data.focus && socket.data.focus.startsWith("room_")) rooms.add(socket.data.focus);
+      _setFocus(socket, null);
+      _untrackSocket(socket.id);
+      if (user.status !== "invisible") pool.query("UPDATE users SET last_seen = NOW() WHERE id = $1", [user.uid]).catch(() => { });
+      _announcePresence(user.uid, before, rooms).catch(e => console.error("[presence] error:", e.message));
     }
   });
 
   socket.on("join_room", (roomId) => {
-    if (!connectedUsers.has(socket.id) || !roomId || typeof roomId !== "string") return;
-    if (!VALID_ROOMS.includes(roomId)) return;
-    const rooms = Array.from(socket.rooms);
-    rooms.forEach(r => { if (r !== socket.id) socket.leave(r); });
-    socket.join("room_" + roomId);
-    // Track user's current room for scoped push notifications
     const user = connectedUsers.get(socket.id);
-    if (user) {
-      _userRoomMap.set(user.uid, roomId);
-      _incrementMissionProgress(user.uid, 'visit_rooms', 1);
-    }
-    console.log("Socket", socket.id, "joined room_" + roomId);
+    if (!user) return;
+    const kicked = typeof roomId === "string" && _roomSanctionUntil(roomId, user.uid, "kick");
+    if (kicked) return socket.emit("message_blocked", "🚫 You were removed from this room " + _describeUntil(kicked) + ".");
+    _joinRoom(socket, user, roomId, false);
   });
 
   socket.on("join_dm", (chatId) => {
     const user = connectedUsers.get(socket.id);
-    if (!user || !chatId || typeof chatId !== "string") return;
-    const dmParts = chatId.split("_");
-    if (dmParts.length !== 2 || !dmParts.includes(user.uid)) return;
-    const rooms = Array.from(socket.rooms);
-    rooms.forEach(r => { if (r !== socket.id) socket.leave(r); });
-    socket.join("dm_" + chatId);
-    console.log("Socket", socket.id, "joined dm_" + chatId);
+    if (!user) return;
+    _joinDm(socket, user, chatId, false).catch(() => { });
+  });
+
+  // Follow a room: live messages on every device alongside the focused channel
+  socket.on("subscribe_room", async (roomId) => {
+    const user = connectedUsers.get(socket.id);
+    if (!user || typeof roomId !== "string") return;
+    try {
+      const result = await _followRoom(user.uid, roomId);
+      if (result.error) return socket.emit("message_error", result.error);
+      _emitToUsers([user.uid], "room_subscribed", { roomId });
+    } catch (err) { socket.emit("message_error", err.message); }
+  });
+
+  socket.on("unsubscribe_room", async (roomId) => {
+    const user = connectedUsers.get(socket.id);
+    if (!user || typeof roomId !== "string") return;
+    try {
+      await _unfollowRoom(user.uid, roomId, false);
+      _emitToUsers([user.uid], "room_unsubscribed", { roomId });
+    } catch (err) { socket.emit("message_error", err.message); }
+  });
+
+  // { roomId, msgId? }
+  socket.on("room_read", (data) => {
+    const user = connectedUsers.get(socket.id);
+    if (!user || !data || typeof data.roomId !== "string") return;
+    _markRoomRead(user.uid, data.roomId, _parseMsgId(data.msgId)).catch(() => { });
   });
 
   socket.on("send_message", async (data) => {
-    const { roomId, text, replyTo } = data;
+    const { roomId, text = "", replyTo } = data;
     const user = connectedUsers.get(socket.id);
     if (!user) { socket.emit("message_error", "Not authenticated yet. Please wait a moment."); return; }
-    if (!roomId || typeof roomId !== "string" || !text || !text.trim() || text.length > 500) return;
-    if (!VALID_ROOMS.includes(roomId)) return;
+    if (!roomId || typeof roomId !== "string" || typeof text !== "string" || text.length > 500) return;
+    if (!text.trim() && !(Array.isArray(data.attachments) && data.attachments.length)) return;
+    if (!_canAccessRoom(user.uid, roomId)) return;
     // Smart moderation check
     const muted = await _isUserMuted(user.uid);
     if (muted) { socket.emit("message_blocked", "⏳ You are temporarily muted. Try again later."); return; }
-    const modResult = checkModeration(text.trim(), user.uid);
+    // Fail closed: if the room's rules can't be checked, the message doesn't go out
+    const roomBlock = await _checkRoomPosting(roomId, user.uid)
+      .catch(() => "⚠️ Couldn't check this room's posting rules. Try again in a moment.");
+    if (roomBlock) { socket.emit("message_blocked", roomBlock); return; }
+    const modResult = text.trim() ? checkModeration(text.trim(), user.uid) : { blocked: false };
     if (modResult.blocked) {
       socket.emit("message_blocked", modResult.reason);
       _incrementToxicity(user.uid);
       return;
     }
     try {
+      const attachmentIds = await _checkAttachments(user.uid, data.attachments);
+      if (attachmentIds.error) { socket.emit("message_error", attachmentIds.error); return; }
       const replyId = replyTo && Number.isInteger(Number(replyTo)) ? Number(replyTo) : null;
+      let replyData = null;
+      if (replyId) {
+        // Only messages from this same room can be quoted, or a private room's text could leak
+        const rr = await pool.query(
+          `SELECT m.id, m.text, u.name FROM messages m JOIN users u ON u.id = m.user_id WHERE m.id = $1 AND m.room_id = $2`,
+          [replyId, roomId]
+        );
+        if (!rr.rows.length) { socket.emit("message_error", "The message you replied to is not in this room"); return; }
+        replyData = { id: rr.rows[0].id, text: rr.rows[0].text, name: rr.rows[0].name };
+      }
       const { rows } = await pool.query(
         `INSERT INTO messages (room_id, user_id, text, reply_to, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING *`,
         [roomId, user.uid, text.trim(), replyId]
       );
-      let replyData = null;
-      if (replyId) {
-        const rr = await pool.query(`SELECT m.id, m.text, u.name FROM messages m JOIN users u ON u.id = m.user_id WHERE m.id = $1`, [replyId]);
-        if (rr.rows.length) replyData = { id: rr.rows[0].id, text: rr.rows[0].text, name: rr.rows[0].name };
-      }
+      _roomLastPost.set(roomId + "|" + user.uid, Date.now());
+      const attachments = await _linkAttachments("room", rows[0].id, user.uid, attachmentIds);
       // Get user level for the message
       const userXP = await pool.query(`SELECT xp FROM users WHERE id = $1`, [user.uid]);
       const userLevel = calculateLevel(userXP.rows[0]?.xp || 0);
-      io.to("room_" + roomId).emit("new_message", {
+      // In a private room only members can be pinged, and nobody kicked from the room
+      const mentions = (await _resolveMentions(rows[0].text, user.uid))
+        .filter(uid => _canAccessRoom(uid, roomId) && !_roomSanctionUntil(roomId, uid, "kick"));
+      const roomMsg = {
         tempId: data.tempId,
         id: rows[0].id, room_id: roomId, user_id: user.uid,
         name: user.name, photo: user.photo, premium: user.premium,
         theriotype: user.theriotype || "", level: userLevel,
         text: rows[0].text, created_at: rows[0].created_at,
-        reply_to: replyId, reply: replyData
-      });
-      // Notify offline/inactive users in this room via Web Push
-      sendPushToRoom(roomId, user.uid, user.name + ": " + rows[0].text);
+        reply_to: replyId, reply: replyData, attachments, mentions
+      };
+      roomMsg.seq = await _recordEvent("room_" + roomId, "new_message", roomMsg);
+      io.to("room_" + roomId).except(_socketsBlocking(user.uid)).emit("new_message", roomMsg);
+      _emitThreadReply("room", roomMsg).catch(e => console.error("[threads] error:", e.message));
+      _notifyMentions(mentions, rows[0], user).catch(e => console.error("[mentions] error:", e.message));
+      // Notify the room's followers via Web Push
+      sendPushToRoom(roomId, user.uid, user.name + ": " + (rows[0].text || "📎 Attachment"), mentions);
 
       // Track room activity + award XP (with daily cap)
       _trackRoomMessage(roomId);
@@ -1486,32 +5440,54 @@ io.on("connection", (socket) => {
   });
 
   socket.on("send_dm", async (data) => {
-    const { chatId, text, replyTo } = data;
+    const { chatId, text = "", replyTo } = data;
     const user = connectedUsers.get(socket.id);
     if (!user) { socket.emit("message_error", "Not authenticated yet. Please wait a moment."); return; }
-    if (!chatId || typeof chatId !== "string" || !text || !text.trim() || text.length > 500) return;
-    const dmUids = chatId.split("_");
-    if (dmUids.length !== 2 || !dmUids.includes(user.uid)) return;
+    if (!chatId || typeof chatId !== "string" || typeof text !== "string" || text.length > 500) return;
+    if (!text.trim() && !(Array.isArray(data.attachments) && data.attachments.length)) return;
+    const dmUids = await _dmMembers(chatId).catch(() => null);
+    if (!dmUids || !dmUids.includes(user.uid)) return;
+    if (_directChatMembers(chatId) && await _isBlockedBetween(dmUids[0], dmUids[1]).catch(() => false)) {
+      socket.emit("message_blocked", "🚫 You can't message this user.");
+      return;
+    }
+    let gate = { allowed: true };
+    if (_directChatMembers(chatId)) {
+      try {
+        gate = await _checkDmAllowed(chatId, user.uid, dmUids.find(u => u !== user.uid));
+      } catch (err) { socket.emit("message_error", err.message); return; }
+      if (gate.error) { socket.emit("message_blocked", gate.error); return; }
+    }
     // Smart moderation check
     const muted = await _isUserMuted(user.uid);
     if (muted) { socket.emit("message_blocked", "⏳ You are temporarily muted. Try again later."); return; }
-    const modResult = checkModeration(text.trim(), user.uid);
+    const modResult = text.trim() ? checkModeration(text.trim(), user.uid) : { blocked: false };
     if (modResult.blocked) {
       socket.emit("message_blocked", modResult.reason);
       _incrementToxicity(user.uid);
       return;
     }
     try {
+      const attachmentIds = await _checkAttachments(user.uid, data.attachments);
+      if (attachmentIds.error) { socket.emit("message_error", attachmentIds.error); return; }
       const replyId = replyTo && Number.isInteger(Number(replyTo)) ? Number(replyTo) : null;
-      const { rows } = await pool.query(
-        `INSERT INTO dm_messages (chat_id, user_id, text, reply_to, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING *`,
-        [chatId, user.uid, text.trim(), replyId]
-      );
       let replyData = null;
       if (replyId) {
-        const rr = await pool.query(`SELECT m.id, m.text, u.name FROM dm_messages m JOIN users u ON u.id = m.user_id WHERE m.id = $1`, [replyId]);
-        if (rr.rows.length) replyData = { id: rr.rows[0].id, text: rr.rows[0].text, name: rr.rows[0].name };
+        const rr = await pool.query(
+          `SELECT m.id, m.text, u.name FROM dm_messages m JOIN users u ON u.id = m.user_id WHERE m.id = $1 AND m.chat_id = $2`,
+          [replyId, chatId]
+        );
+        if (!rr.rows.length) { socket.emit("message_error", "The message you replied to is not in this chat"); return; }
+        replyData = { id: rr.rows[0].id, text: rr.rows[0].text, name: rr.rows[0].name };
       }
+      const { rows } = await pool.query(
+        `INSERT INTO dm_messages (chat_id, user_id, text, reply_to, created_at, expires_at)
+         VALUES ($1, $2, $3, $4, NOW(), (SELECT NOW() + make_interval(secs => disappear_after_secs) FROM dm_settings WHERE chat_id = $1))
+         RETURNING *`,
+        [chatId, user.uid, text.trim(), replyId]
+      );
+      if (_directChatMembers(chatId)) await _recordDirectChat(chatId, dmUids);
+      const attachments = await _linkAttachments("dm", rows[0].id, user.uid, attachmentIds);
       // Get user level
       const userXP = await pool.query(`SELECT xp FROM users WHERE id = $1`, [user.uid]);
       const userLevel = calculateLevel(userXP.rows[0]?.xp || 0);
@@ -1520,21 +5496,48 @@ io.on("connection", (socket) => {
         name: user.name, photo: user.photo, premium: user.premium,
         theriotype: user.theriotype || "", level: userLevel,
         text: rows[0].text, created_at: rows[0].created_at,
-        reply_to: replyId, reply: replyData,
+        reply_to: replyId, reply: replyData, attachments,
+        expires_at: rows[0].expires_at,
         tempId: data.tempId
       };
-      io.to("dm_" + chatId).emit("new_dm", dmMsg);
-      // Push notification + socket notify to recipient
-      const recipientUid = dmUids[0] === user.uid ? dmUids[1] : dmUids[0];
-      sendPushToUser(recipientUid, user.name, rows[0].text);
-      // Emit dm_notify to recipient's socket(s) for in-app toast
-      for (const [socketId, u] of connectedUsers.entries()) {
-        if (u.uid === recipientUid) {
-          io.to(socketId).emit("dm_notify", {
-            from: user.name,
-            text: rows[0].text,
-            chatId
-          });
+      if (gate.request === "declined") {
+        dmMsg.seq = await _recordEvent([user.uid], "new_dm", dmMsg);
+        _emitToUsers([user.uid], "new_dm", dmMsg);
+        _emitConversationUpdated(chatId, [user.uid]).catch(e => console.error("[inbox] error:", e.message));
+      } else {
+        dmMsg.seq = await _recordEvent("dm_" + chatId, "new_dm", dmMsg);
+        io.to("dm_" + chatId).emit("new_dm", dmMsg);
+        _emitThreadReply("dm", dmMsg).catch(e => console.error("[threads] error:", e.message));
+        _emitConversationUpdated(chatId, dmUids).catch(e => console.error("[inbox] error:", e.message));
+      }
+      const recipientUids = dmUids.filter(u => u !== user.uid);
+      if (gate.accepted) {
+        const event = { chatId, by: user.uid };
+        event.seq = await _recordEvent(recipientUids, "message_request_accepted", event);
+        _emitToUsers(recipientUids, "message_request_accepted", event);
+      }
+      // Requests don't push or toast; the recipient only hears about the first message
+      if (gate.request === "new") {
+        const event = { chatId, from: { uid: user.uid, name: user.name, photo: user.photo }, text: rows[0].text };
+        event.seq = await _recordEvent(recipientUids, "message_request", event);
+        _emitToUsers(recipientUids, "message_request", event);
+      }
+      if (!gate.request) {
+        // Push notification + socket notify to recipient(s) who haven't muted the chat
+        const { rows: mutedRows } = await pool.query(
+          "SELECT user_id FROM conversation_settings WHERE chat_id = $1 AND muted = TRUE", [chatId]
+        );
+        const notifyUids = recipientUids.filter(uid => !mutedRows.some(m => m.user_id === uid));
+        notifyUids.forEach(uid => sendPushToUser(uid, user.name, rows[0].text || "📎 Attachment"));
+        // Emit dm_notify to recipients' socket(s) for in-app toast
+        for (const [socketId, u] of connectedUsers.entries()) {
+          if (notifyUids.includes(u.uid)) {
+            io.to(socketId).emit("dm_notify", {
+              from: user.name,
+              text: rows[0].text || "📎 Attachment",
+              chatId
+            });
+          }
         }
       }
       // Award XP for DM (with daily cap)
@@ -1543,18 +5546,73 @@ io.on("connection", (socket) => {
     } catch (err) { socket.emit("message_error", err.message); }
   });
 
+  socket.on("edit_message", async (data) => {
+    const user = connectedUsers.get(socket.id);
+    if (!user || !data) return;
+    try {
+      const result = await _editMessage(user.uid, data.msgId, data.text, data.kind);
+      if (result.error) {
+        socket.emit(result.blocked ? "message_blocked" : "message_error", result.error);
+        return;
+      }
+      result.message.seq = await _recordEvent(result.channel, "message_edited", result.message);
+      io.to(result.channel).except(_socketsBlocking(user.uid)).emit("message_edited", result.message);
+    } catch (err) { socket.emit("message_error", err.message); }
+  });
+
+  socket.on("add_reaction", async (data) => {
+    const user = connectedUsers.get(socket.id);
+    if (!user || !data) return;
+    try {
+      const result = await _setReaction(user.uid, data.kind === "dm" ? "dm" : "room", data.msgId, data.emoji, true);
+      if (result.error) return socket.emit("reaction_error", result.error);
+      if (!result.unchanged) io.to(result.channel).emit("reaction_added", result.payload);
+    } catch (err) { socket.emit("reaction_error", err.message); }
+  });
+
+  socket.on("remove_reaction", async (data) => {
+    const user = connectedUsers.get(socket.id);
+    if (!user || !data) return;
+    try {
+      const result = await _setReaction(user.uid, data.kind === "dm" ? "dm" : "room", data.msgId, data.emoji, false);
+      if (result.error) return socket.emit("reaction_error", result.error);
+      if (!result.unchanged) io.to(result.channel).emit("reaction_removed", result.payload);
+    } catch (err) { socket.emit("reaction_error", err.message); }
+  });
+
+  socket.on("follow_thread", async (data) => {
+    const user = connectedUsers.get(socket.id);
+    if (!user || !data) return;
+    const kind = data.kind === "dm" ? "dm" : "room";
+    const id = _parseMsgId(data.msgId);
+    if (!id) return;
+    try {
+      const root = await _threadRootOf(kind, id);
+      if (!root || !(await _canReadScope(kind, root.scope_id, user.uid))) return;
+      socket.join("thread_" + kind + "_" + root.id);
+      socket.emit("thread_followed", { kind, rootId: root.id });
+    } catch (err) { socket.emit("message_error", err.message); }
+  });
+
+  socket.on("unfollow_thread", (data) => {
+    if (!data) return;
+    const kind = data.kind === "dm" ? "dm" : "room";
+    const id = _parseMsgId(data.rootId);
+    if (id) socket.leave("thread_" + kind + "_" + id);
+  });
+
   socket.on("typing", (data) => {
     const user = connectedUsers.get(socket.id);
     if (!user || !data) return;
     if (data.chatId) socket.to("dm_" + data.chatId).emit("user_typing", { uid: user.uid, name: user.name });
-    else if (data.roomId) socket.to("room_" + data.roomId).emit("user_typing", { uid: user.uid, name: user.name });
+    else if (data.roomId && _canAccessRoom(user.uid, data.roomId)) socket.to("room_" + data.roomId).except(_socketsBlocking(user.uid)).emit("user_typing", { uid: user.uid, name: user.name });
   });
 
   socket.on("stop_typing", (data) => {
     const user = connectedUsers.get(socket.id);
     if (!user || !data) return;
     if (data.chatId) socket.to("dm_" + data.chatId).emit("user_stop_typing", { uid: user.uid });
-    else if (data.roomId) socket.to("room_" + data.roomId).emit("user_stop_typing", { uid: user.uid });
+    else if (data.roomId && _canAccessRoom(user.uid, data.roomId)) socket.to("room_" + data.roomId).emit("user_stop_typing", { uid: user.uid });
   });
 
   socket.on("theriotype_set", (data) => {
@@ -1624,7 +5682,8 @@ app.get("/api/rooms/activity", authMiddleware, (req, res) => {
 const DAILY_MISSIONS = [
   { key: 'send_messages', name: '💬 Messenger', desc: 'Send 5 messages in any room or DM', target: 5, xp: 100, icon: '💬' },
   { key: 'visit_rooms', name: '🚪 Explorer', desc: 'Visit 3 different rooms', target: 3, xp: 75, icon: '🚪' },
-  { key: 'make_friends', name: '🤝 Social Butterfly', desc: 'Add or match with 1 person', target: 1, xp: 150, icon: '🤝' }
+  { key: 'make_friends', name: '🤝 Social Butterfly', desc: 'Add or match with 1 person', target: 1, xp: 150, icon: '🤝' },
+  { key: 'give_reactions', name: '😄 Cheerleader', desc: 'React to 5 messages', target: 5, xp: 50, icon: '😄' }
 ];
 
 async function _incrementMissionProgress(uid, mission_key, amount) {
@@ -1679,13 +5738,13 @@ app.post("/api/missions/claim", authMiddleware, async (req, res) => {
       const currentLevelXP = xpForLevel(level);
       const nextLevelXP = xpForLevel(level + 1);
 
+      const update = {
+        xp, level, gained: xpGain,
+        progress: Math.round(((xp - currentLevelXP) / (nextLevelXP - currentLevelXP)) * 100)
+      };
+      update.seq = await _recordEvent([req.uid], "xp_update", update);
       for (const [socketId, u] of connectedUsers.entries()) {
-        if (u.uid === req.uid) {
-          io.to(socketId).emit("xp_update", {
-            xp, level, gained: xpGain,
-            progress: Math.round(((xp - currentLevelXP) / (nextLevelXP - currentLevelXP)) * 100)
-          });
-        }
+        if (u.uid === req.uid) io.to(socketId).emit("xp_update", update);
       }
       res.json({ ok: true, xpGain });
     } else {
@@ -1700,9 +5759,12 @@ app.get("/api/users/recommendations", authMiddleware, async (req, res) => {
     const myTheriotype = (await pool.query("SELECT theriotype FROM users WHERE id = $1", [req.uid])).rows[0]?.theriotype;
     const baseFilters = `WHERE id != $1 
                  AND (is_banned = FALSE OR is_banned IS NULL)
+                 AND deletion_scheduled_for IS NULL
                  AND last_seen > NOW() - INTERVAL '30 days'
                  AND id NOT IN (SELECT friend_id FROM friends WHERE user_id = $1)
-                 AND id NOT IN (SELECT to_uid FROM friend_requests WHERE from_uid = $1)`;
+                 AND id NOT IN (SELECT to_uid FROM friend_requests WHERE from_uid = $1)
+                 AND id NOT IN (SELECT blocked_uid FROM blocks WHERE blocker_uid = $1)
+                 AND id NOT IN (SELECT blocker_uid FROM blocks WHERE blocked_uid = $1)`;
     if (myTheriotype) {
       const query = `SELECT id as uid, name, photo, theriotype, level FROM users 
                  ${baseFilters}
@@ -1721,6 +5783,12 @@ app.get("/api/users/recommendations", authMiddleware, async (req, res) => {
 // Start background timers
 _startIcebreakerTimer();
 _startActivityBroadcast();
+_startAccountDeletionJob();
+_startAttachmentCleanupJob();
+_startSyncLogCleanupJob();
+_startRetentionJob();
+_startAutoAwayJob();
+_startRoomModerationCleanupJob();
 console.log("[algorithms] Icebreaker bot + Activity broadcast started");
 
 server.listen(PORT, () => console.log("Therian backend running on port " + PORT));